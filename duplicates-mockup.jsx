@@ -1,90 +1,195 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { 
   HardDrive, 
-  File, 
-  FileImage, 
-  FileVideo, 
-  FileAudio, 
   Settings, 
-  Database, 
   Search, 
   ArrowUpDown,
+  ArrowUp,
+  ArrowDown,
+  Check,
+  Download,
+  ShieldAlert,
+  ShieldCheck,
   ChevronDown,
   Filter,
   CheckCircle2,
-  AlertCircle
+  AlertCircle,
+  Grid3x3,
+  GitBranch,
+  AlertTriangle,
+  Upload,
+  X,
+  Zap
 } from 'lucide-react';
+import CleanupPlanPanel from './duplicates/CleanupPlanPanel';
+import DivergedRow, { divergedRowHeight } from './duplicates/DivergedRow';
+import DuplicateRow, { ROW_HEIGHT, rowDomId, rowHeightFor } from './duplicates/DuplicateRow';
+import FailurePanel from './duplicates/FailurePanel';
+import FolderRow from './duplicates/FolderRow';
+import OverlapMatrix from './duplicates/OverlapMatrix';
+import PolicyEditor from './duplicates/PolicyEditor';
+import { FIXTURE_CATALOG_URL, openCatalog } from './duplicates/catalog';
+import { ConfigError, applyConfig, buildConfig, configToJson, parseConfig } from './duplicates/config';
+import { EXPORT_FORMATS, buildReport, downloadFile, downloadReport } from './duplicates/export';
+import { divergedDriveStatus } from './duplicates/divergence';
+import { applyDriveEvents, applyGroupEvents, progressPercentage } from './duplicates/indexerEvents';
+import { rankSinglePointsOfFailure, simulateFailure } from './duplicates/failure';
+import { buildListRows, groupByFolder } from './duplicates/folders';
+import { formatBytes, formatCount, formatDate, formatRelativeTime } from './duplicates/format';
+import { isBackupIndexStale, isDriveConnected, isIndexed, staleLocationIds } from './duplicates/freshness';
+import { DRIVE_STATUS_LABELS, driveStatus, evaluateFile, loadPolicy, savePolicy } from './duplicates/policy';
+import { buildOverlap, matchesPair } from './duplicates/overlap';
+import { createMatcher, parseQuery } from './duplicates/query';
+import { SETTING_KEYS, applyDriveSettings, readBooleanSetting, saveDriveSettings, writeSetting } from './duplicates/settings';
+import { SORT_KEYS, loadSortOption, saveSortOption, sortFiles, sortKeyLabel } from './duplicates/sort';
+import { useIndexerEvents } from './duplicates/useIndexerEvents';
+import { useVirtualRows } from './duplicates/useVirtualRows';
 
-export default function App() {
+// Rows are revealed a page at a time as the list nears its end, like the
+// Swift loadMoreFiles() (batchSize / threshold there are 50 / 10)
+const PAGE_SIZE = 200;
+const LOAD_MORE_THRESHOLD = 50;
+
+// Shared by every row without stale copies, so memoized rows stay equal
+const NO_STALE_COPIES = new Set();
+
+// `catalog` ({ drives, duplicates }) skips the database entirely; the scroll
+// benchmark uses it to feed in a synthetic catalog. `connectedDriveIds` is
+// the set of mounted drive UUIDs when the host knows it; otherwise a recent
+// `last_seen` counts as connected. `eventsUrl` is the indexer's live event
+// stream, if there is one (see duplicates/indexerEvents.js). `onReveal`
+// ({ file, location, drive, path }) shows a copy on disk, e.g. in Finder
+// from a local shell; without it the reveal action is hidden.
+export default function App({ catalogUrl = FIXTURE_CATALOG_URL, sqlJsConfig, catalog: providedCatalog, connectedDriveIds, eventsUrl, onReveal = null }) {
   // --- State & Data ---
 
-  // 6 Indexed Drives
-  const [drives, setDrives] = useState([
-    { id: 1, name: 'Macintosh HD', size: '1 TB', used: '850 GB', type: 'NVMe', isBackup: false },
-    { id: 2, name: 'Samsung T7', size: '2 TB', used: '1.2 TB', type: 'SSD', isBackup: false },
-    { id: 3, name: 'LaCie Rugged', size: '4 TB', used: '3.8 TB', type: 'HDD', isBackup: true }, // Default backup
-    { id: 4, name: 'SanDisk Extreme', size: '1 TB', used: '200 GB', type: 'SSD', isBackup: false },
-    { id: 5, name: 'Archive Raid', size: '12 TB', used: '8.4 TB', type: 'RAID', isBackup: true }, // Default backup
-    { id: 6, name: 'SD Backup', size: '256 GB', used: '120 GB', type: 'SD', isBackup: false },
-  ]);
-
-  // Duplicate Files Data
-  const duplicates = [
-    { 
-      id: 101, 
-      name: 'Project_Titan_Render_v04.mov', 
-      size: '4.2 GB', 
-      type: 'video', 
-      drives: [1, 2, 5], 
-      date: 'Oct 24, 2024' 
-    },
-    { 
-      id: 102, 
-      name: 'Q3_Financials_Final.pdf', 
-      size: '14 MB', 
-      type: 'doc', 
-      drives: [1, 2], 
-      date: 'Nov 01, 2024' 
-    },
-    { 
-      id: 103, 
-      name: 'IMG_8832_RAW.dng', 
-      size: '85 MB', 
-      type: 'image', 
-      drives: [3, 5], 
-      date: 'Sep 12, 2024' 
-    },
-    { 
-      id: 104, 
-      name: 'Backup_Catalog.db', 
-      size: '1.1 GB', 
-      type: 'db', 
-      drives: [2, 3, 4, 6], 
-      date: 'Aug 30, 2024' 
-    },
-    { 
-      id: 105, 
-      name: 'Podcast_Intro_Music.wav', 
-      size: '120 MB', 
-      type: 'audio', 
-      drives: [1, 4], 
-      date: 'Oct 15, 2024' 
-    },
-    { 
-      id: 106, 
-      name: 'unused_assets_folder.zip', 
-      size: '3.5 GB', 
-      type: 'zip', 
-      drives: [3, 6], 
-      date: 'Jul 22, 2024' 
+  // Indexed drives, duplicate groups, duplicate folders, diverged files and
+  // what each drive alone holds, loaded from the catalog database
+  const [drives, setDrives] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [diverged, setDiverged] = useState([]);
+  const [singleCopyTotals, setSingleCopyTotals] = useState(() => new Map());
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setErrorMessage(null);
+
+    const load = providedCatalog ? Promise.resolve(providedCatalog) : openCatalog(catalogUrl, sqlJsConfig);
+    load
+      .then(catalog => {
+        if (cancelled) return;
+        setDrives(applyDriveSettings(catalog.drives));
+        setDuplicates(catalog.duplicates);
+        setFolders(catalog.folders ?? []);
+        setDiverged(catalog.diverged ?? []);
+        setSingleCopyTotals(catalog.singleCopyTotals ?? new Map());
+      })
+      .catch(error => {
+        if (!cancelled) setErrorMessage(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [catalogUrl, sqlJsConfig, providedCatalog]);
+
+  // Live changes from the indexer, once the snapshot they apply to is loaded.
+  // Groups and drives are replaced in place, so scroll position, hover and
+  // selection carry over. Copies on drives we haven't heard of (in the
+  // catalog or this batch) are left out. Folder matches, diverged files and
+  // single-copy totals stay as loaded.
+  const { progress: hashProgress, status: liveStatus } = useIndexerEvents({
+    url: isLoading || errorMessage ? null : eventsUrl,
+    onEvents: ({ groupEvents, driveEvents }) => {
+      if (driveEvents.length > 0) {
+        setDrives(current => {
+          const { drives: next, added } = applyDriveEvents(current, driveEvents);
+          return added.length > 0 ? [...next, ...applyDriveSettings(added)] : next;
+        });
+      }
+      if (groupEvents.length > 0) {
+        const knownDriveIds = new Set([...drivesById.keys(), ...driveEvents.map(({ data }) => data.drive.id)]);
+        setDuplicates(current => applyGroupEvents(current, groupEvents, knownDriveIds));
+      }
     },
-  ];
+  });
 
-  const [hoveredFileId, setHoveredFileId] = useState(null);
+  // The drive grid highlights the hovered row, or failing that the keyboard
+  // cursor, so both mouse and keyboard users can see where a file lives.
+  // These hold row ids: a file's id, a folder's, or a file within a folder.
+  const [hoveredRowId, setHoveredRowId] = useState(null);
+  const [activeRowId, setActiveRowId] = useState(null);
+  const highlightedRowId = hoveredRowId ?? activeRowId;
   
-  // Filter Toggles
-  const [showBackedUp, setShowBackedUp] = useState(true);
-  const [showDuplicates, setShowDuplicates] = useState(true); // Renamed for clarity
+  // Filter Toggles (remembered between sessions)
+  const [showBackedUp, setShowBackedUp] = useState(() => readBooleanSetting(SETTING_KEYS.showBackedUp, true));
+  const [showDuplicates, setShowDuplicates] = useState(() => readBooleanSetting(SETTING_KEYS.showDuplicates, true)); // Renamed for clarity
+  const [showDiverged, setShowDiverged] = useState(() => readBooleanSetting(SETTING_KEYS.showDiverged, true));
+
+  useEffect(() => {
+    writeSetting(SETTING_KEYS.showBackedUp, showBackedUp);
+    writeSetting(SETTING_KEYS.showDuplicates, showDuplicates);
+    writeSetting(SETTING_KEYS.showDiverged, showDiverged);
+  }, [showBackedUp, showDuplicates, showDiverged]);
+
+  const [searchText, setSearchText] = useState('');
+  const searchRef = useRef(null);
+
+  // Sort (remembered between sessions, like the Swift sortOption)
+  const [sort, setSort] = useState(loadSortOption);
+  const [isSortMenuOpen, setIsSortMenuOpen] = useState(false);
+
+  useEffect(() => {
+    saveSortOption(sort);
+  }, [sort]);
+
+  // Clock for "seen 3 days ago" and index age; a minute is fine-grained enough
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Drive roles persist by UUID, like the Swift saveDriveStates()
+  useEffect(() => {
+    if (drives.length > 0) saveDriveSettings(drives);
+  }, [drives]);
+
+  // Configuration file: the persisted settings, shareable between machines
+  const [isSettingsMenuOpen, setIsSettingsMenuOpen] = useState(false);
+  const [configError, setConfigError] = useState(null);
+  const configInputRef = useRef(null);
+
+  const exportConfig = () => {
+    const config = buildConfig();
+    downloadFile(configToJson(config), `driveindex-config-${config.exportedAt.slice(0, 10)}.json`, 'application/json');
+    setIsSettingsMenuOpen(false);
+  };
+
+  const importConfig = async (file) => {
+    try {
+      applyConfig(parseConfig(await file.text()));
+    } catch (error) {
+      // Called from an input's onChange, so nothing above would catch it
+      setConfigError(error instanceof ConfigError ? error.message : `Couldn't read ${file.name}`);
+      return;
+    }
+
+    setDrives(current => applyDriveSettings(current));
+    setShowBackedUp(readBooleanSetting(SETTING_KEYS.showBackedUp, showBackedUp));
+    setShowDuplicates(readBooleanSetting(SETTING_KEYS.showDuplicates, showDuplicates));
+    setShowDiverged(readBooleanSetting(SETTING_KEYS.showDiverged, showDiverged));
+    setSort(loadSortOption());
+    setPolicy(loadPolicy());
+    setConfigError(null);
+    setIsSettingsMenuOpen(false);
+  };
 
   // --- Logic ---
 
@@ -94,68 +199,302 @@ export default function App() {
     ));
   };
 
-  // Check if a file has at least one copy on a backup drive
-  const hasBackupCopy = (file) => {
-     return file.drives.some(dId => drives.find(d => d.id === dId)?.isBackup);
+  const toggleDriveTag = (id, tag) => {
+    setDrives(drives.map(d => {
+      if (d.id !== id) return d;
+      const tags = d.tags.includes(tag) ? d.tags.filter(t => t !== tag) : [...d.tags, tag];
+      return { ...d, tags };
+    }));
   };
 
-  // Filter the list based on toggles
-  const filteredFiles = duplicates.filter(file => {
-      const isBackedUp = hasBackupCopy(file);
-      
-      // Calculate if it acts as a "Duplicate" (redundant source files or no backup)
-      const sourceDrives = file.drives.filter(dId => !drives.find(d => d.id === dId)?.isBackup);
-      const hasRedundantSource = sourceDrives.length > 1;
-      const isStrictlyUnsafe = !isBackedUp; // No backup at all
+  // Backup policy: which copies each file needs to count as safe
+  const [policy, setPolicy] = useState(loadPolicy);
+  const [isPolicyEditorOpen, setIsPolicyEditorOpen] = useState(false);
+
+  useEffect(() => {
+    savePolicy(policy);
+  }, [policy]);
+
+  // Derived data is memoized so hovering a row doesn't re-evaluate or
+  // re-sort the whole catalog
+  const drivesById = useMemo(() => new Map(drives.map(d => [d.id, d])), [drives]);
+  const evaluations = useMemo(
+    () => new Map(duplicates.map(file => [file.id, evaluateFile(file, drivesById, policy)])),
+    [duplicates, drivesById, policy]
+  );
+
+  // Copies on drives not rescanned since the source copy changed (only
+  // files that have any are stored)
+  const staleCopies = useMemo(() => {
+    const stale = new Map();
+    for (const file of duplicates) {
+      const ids = staleLocationIds(file, drivesById);
+      if (ids.size > 0) stale.set(file.id, ids);
+    }
+    return stale;
+  }, [duplicates, drivesById]);
+
+  // Search query (a malformed query is reported inline and ignored)
+  const query = useMemo(() => parseQuery(searchText), [searchText]);
+
+  // Drive pair overlap, and the pair (clicked in the matrix) the list is narrowed to
+  const overlap = useMemo(() => buildOverlap(duplicates), [duplicates]);
+  const [overlapPair, setOverlapPair] = useState(null);
+  const [isOverlapOpen, setIsOverlapOpen] = useState(true);
+
+  // Drives marked as hypothetically failed, and what losing them would cost
+  const [failedDriveIds, setFailedDriveIds] = useState(new Set());
+  const [isFailurePanelOpen, setIsFailurePanelOpen] = useState(false);
+  const isSimulatingFailure = failedDriveIds.size > 0;
+
+  const toggleFailed = useCallback((driveId) => {
+    setFailedDriveIds(prev => {
+      const next = new Set(prev);
+      if (next.has(driveId)) next.delete(driveId);
+      else next.add(driveId);
+      return next;
+    });
+  }, []);
+
+  const failure = useMemo(
+    () => simulateFailure(duplicates, evaluations, failedDriveIds, drivesById, policy, singleCopyTotals),
+    [duplicates, evaluations, failedDriveIds, drivesById, policy, singleCopyTotals]
+  );
+
+  // Every drive on its own, across the whole catalog; only while it's shown
+  const failureRanking = useMemo(
+    () => (isFailurePanelOpen ? rankSinglePointsOfFailure(duplicates, evaluations, drives, drivesById, policy, singleCopyTotals) : []),
+    [isFailurePanelOpen, duplicates, evaluations, drives, drivesById, policy, singleCopyTotals]
+  );
+
+  // Filter the list based on toggles and the search query
+  const filteredFiles = useMemo(() => {
+    const matchesQuery = createMatcher(query.terms, drives);
+
+    return duplicates.filter(file => {
+      if (!matchesQuery(file)) return false;
+      if (overlapPair && !matchesPair(file, overlapPair)) return false;
+
+      // A failure simulation lists what it puts at risk, whatever the toggles
+      if (isSimulatingFailure) return failure.outcomes.has(file.id);
+
+      const evaluation = evaluations.get(file.id);
       
-      // Condition A: Show if it matches "Backed Up" criteria
-      if (showBackedUp && isBackedUp) return true;
+      // Condition A: Show if it meets its backup policy
+      if (showBackedUp && evaluation.compliant) return true;
       
       // Condition B: Show if it matches "Duplicates" criteria
-      // This now includes backed up files IF they have multiple source copies (clutter)
-      if (showDuplicates && (hasRedundantSource || isStrictlyUnsafe)) return true;
+      // Redundant source copies (clutter) or below policy
+      if (showDuplicates && (evaluation.hasRedundantSource || !evaluation.compliant)) return true;
 
       return false;
-  });
+    });
+  }, [duplicates, drives, evaluations, query, overlapPair, showBackedUp, showDuplicates, isSimulatingFailure, failure]);
 
-  const getHighlightStatus = (driveId) => {
-    if (!hoveredFileId) return 'none';
-    
-    const file = duplicates.find(f => f.id === hoveredFileId);
-    if (!file) return 'none';
-
-    const hasFile = file.drives.includes(driveId);
-    if (!hasFile) return 'dimmed'; // Dim drives that don't have the file
-
-    const drive = drives.find(d => d.id === driveId);
-    
-    // New Logic: Check for single source + backup scenario
-    const sourceDrivesWithFile = file.drives.filter(dId => {
-        const d = drives.find(drv => drv.id === dId);
-        return d && !d.isBackup;
+  const sortedFiles = useMemo(() => sortFiles(filteredFiles, sort, drives, policy), [filteredFiles, sort, drives, policy]);
+
+  // Diverged files are listed apart from the duplicate groups (they aren't
+  // copies of one file), but take the same query, drive pair and sort
+  const sortedDiverged = useMemo(() => {
+    if (!showDiverged || isSimulatingFailure) return [];
+    const matchesQuery = createMatcher(query.terms, drives);
+    const matches = diverged.filter(group => matchesQuery(group) && (!overlapPair || matchesPair(group, overlapPair)));
+    return sortFiles(matches, sort, drives, policy);
+  }, [diverged, drives, query, overlapPair, showDiverged, isSimulatingFailure, sort, policy]);
+
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+
+  // Row selection and cleanup planning
+  const [selectedFileIds, setSelectedFileIds] = useState(new Set());
+  const [keepers, setKeepers] = useState(() => new Map()); // file id -> location id picked by hand
+  const [isCleanupOpen, setIsCleanupOpen] = useState(false);
+
+  const toggleSelected = useCallback((fileId) => {
+    setSelectedFileIds(prev => {
+      const next = new Set(prev);
+      if (next.has(fileId)) next.delete(fileId);
+      else next.add(fileId);
+      return next;
+    });
+  }, []);
+
+  // Picking the current keeper again goes back to the plan's own choice
+  const selectKeeper = useCallback((fileId, locationId) => {
+    setKeepers(prev => {
+      const next = new Map(prev);
+      if (next.get(fileId) === locationId) next.delete(fileId);
+      else next.set(fileId, locationId);
+      return next;
+    });
+  }, []);
+
+  // A folder row's checkbox covers the files it shows
+  const toggleFilesSelected = useCallback((files) => {
+    setSelectedFileIds(prev => {
+      const next = new Set(prev);
+      if (files.every(file => prev.has(file.id))) files.forEach(file => next.delete(file.id));
+      else files.forEach(file => next.add(file.id));
+      return next;
     });
-    const backupDrivesWithFile = file.drives.filter(dId => {
-        const d = drives.find(drv => drv.id === dId);
-        return d && d.isBackup;
+  }, []);
+
+  const allVisibleSelected = useMemo(
+    () => sortedFiles.length > 0 && sortedFiles.every(file => selectedFileIds.has(file.id)),
+    [sortedFiles, selectedFileIds]
+  );
+
+  const toggleSelectAll = () => {
+    setSelectedFileIds(allVisibleSelected ? new Set() : new Set(sortedFiles.map(file => file.id)));
+  };
+
+  // The plan covers the selection if there is one, otherwise the whole list
+  const selectedFiles = useMemo(
+    () => (selectedFileIds.size > 0 ? sortedFiles.filter(file => selectedFileIds.has(file.id)) : []),
+    [sortedFiles, selectedFileIds]
+  );
+  const cleanupFiles = selectedFiles.length > 0 ? selectedFiles : sortedFiles;
+
+  // Folders expanded to list their files, and files expanded to show every
+  // copy (by file id, so a file expands wherever it's listed)
+  const [expandedIds, setExpandedIds] = useState(new Set());
+
+  const toggleExpanded = useCallback((id) => {
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
     });
+  }, []);
+
+  // Matching folders lead the list as one row each; their files are only
+  // listed again inside them
+  const folderGroups = useMemo(() => groupByFolder(sortedFiles, folders), [sortedFiles, folders]);
+  const rows = useMemo(
+    () => buildListRows(folderGroups, expandedIds, sortedDiverged),
+    [folderGroups, expandedIds, sortedDiverged]
+  );
+  const rowIndexById = useMemo(() => new Map(rows.map((row, i) => [row.id, i])), [rows]);
+
+  const rowHeight = useMemo(() => {
+    if (expandedIds.size === 0 && sortedDiverged.length === 0) return ROW_HEIGHT;
+    return (index) => {
+      const row = rows[index];
+      if (row.kind === 'folder') return ROW_HEIGHT;
+      if (row.kind === 'diverged') return divergedRowHeight(row.group);
+      return rowHeightFor(row.file, expandedIds.has(row.file.id));
+    };
+  }, [rows, expandedIds, sortedDiverged]);
+
+  // Windowed list, revealed a page at a time
+  const [displayCount, setDisplayCount] = useState(PAGE_SIZE);
+  const displayedCount = Math.min(displayCount, rows.length);
+  const { scrollRef, listRef, start, end, paddingTop, paddingBottom, viewportHeight, scrollToTop, scrollToIndex } = useVirtualRows({
+    count: displayedCount,
+    rowHeight,
+  });
+
+  // A new filter, query or sort starts over from the top. Data changes
+  // (drive roles, policy edits) keep the scroll position.
+  useEffect(() => {
+    setDisplayCount(PAGE_SIZE);
+    scrollToTop();
+  }, [searchText, overlapPair, showBackedUp, showDuplicates, showDiverged, failedDriveIds, sort, scrollToTop]);
 
-    if (sourceDrivesWithFile.length === 1 && backupDrivesWithFile.length >= 1) {
-        if (!drive.isBackup) {
-            return 'source-safe'; // This is the single source, highlight gray
-        }
+  useEffect(() => {
+    if (end >= displayedCount - LOAD_MORE_THRESHOLD && displayedCount < rows.length) {
+      setDisplayCount(count => count + PAGE_SIZE);
     }
+  }, [end, displayedCount, rows.length]);
+
+  // --- Keyboard ---
+
+  const activeIndex = activeRowId ? rowIndexById.get(activeRowId) ?? -1 : -1;
+  const activeRow = activeIndex >= 0 ? rows[activeIndex] : null;
+
+  // Moves the keyboard cursor, loading in more rows if it runs past them
+  const moveActive = (index) => {
+    if (rows.length === 0) return;
+    const next = Math.min(Math.max(index, 0), rows.length - 1);
+    if (next >= displayCount) setDisplayCount(Math.ceil((next + 1) / PAGE_SIZE) * PAGE_SIZE);
+    setActiveRowId(rows[next].id);
+    setHoveredRowId(null);
+    scrollToIndex(next);
+  };
+
+  const activateRow = useCallback((rowId) => {
+    setActiveRowId(rowId);
+    listRef.current?.focus({ preventScroll: true });
+  }, [listRef]);
+
+  const handleListKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const pageRows = Math.max(1, Math.floor(viewportHeight / ROW_HEIGHT) - 1);
+
+    switch (e.key) {
+      case 'ArrowDown': moveActive(activeIndex + 1); break;
+      case 'ArrowUp': moveActive(activeIndex - 1); break;
+      case 'PageDown': moveActive(activeIndex + pageRows); break;
+      case 'PageUp': moveActive(activeIndex - pageRows); break;
+      case 'Home': moveActive(0); break;
+      case 'End': moveActive(rows.length - 1); break;
+      case ' ':
+        if (activeRow?.kind === 'folder') toggleFilesSelected(activeRow.files);
+        else if (activeRow?.kind === 'file') toggleSelected(activeRow.file.id);
+        break;
+      case 'Enter':
+        if (activeRow?.kind === 'folder') toggleExpanded(activeRow.id);
+        else if (activeRow?.kind === 'file') toggleExpanded(activeRow.file.id);
+        break;
+      case 'Escape':
+        setActiveRowId(null);
+        searchRef.current?.focus();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // Down arrow from the search box continues into the results
+  const handleSearchKeyDown = (e) => {
+    if (e.key !== 'ArrowDown' || rows.length === 0) return;
+    e.preventDefault();
+    listRef.current?.focus({ preventScroll: true });
+    moveActive(Math.max(activeIndex, 0));
+  };
+
+  const setDriveType = (id, type) => {
+    setDrives(drives.map(d => (d.id === id ? { ...d, type } : d)));
+  };
+
+  // Exports exactly what the list shows: current filters, query and sort
+  const exportFiles = (format) => {
+    downloadReport(buildReport(sortedFiles, drives), format);
+    setIsExportMenuOpen(false);
+  };
 
-    return drive.isBackup ? 'safe' : 'warning';
+  const selectSortKey = (key) => {
+    const { direction } = SORT_KEYS.find(k => k.id === key);
+    // Keep the tie-break meaningful when it collides with the new primary key
+    const secondary = sort.secondary === key ? (key === 'name' ? 'size' : 'name') : sort.secondary;
+    setSort({ key, direction, secondary });
   };
 
-  const getFileIcon = (type) => {
-    switch(type) {
-      case 'video': return <FileVideo size={20} className="text-purple-400" />;
-      case 'image': return <FileImage size={20} className="text-blue-400" />;
-      case 'audio': return <FileAudio size={20} className="text-pink-400" />;
-      case 'db': return <Database size={20} className="text-slate-400" />;
-      default: return <File size={20} className="text-gray-400" />;
+  const highlightedRow = rows[rowIndexById.get(highlightedRowId)] ?? null;
+
+  const getHighlightStatus = (driveId) => {
+    if (!highlightedRow) return 'none';
+
+    // A folder lights up the drives holding either side of the match
+    if (highlightedRow.kind === 'folder') {
+      return highlightedRow.folder.folders.some(f => f.driveId === driveId) ? 'warning' : 'dimmed';
     }
+    // A diverged file shows which drives hold the newest version
+    if (highlightedRow.kind === 'diverged') return divergedDriveStatus(highlightedRow.group, driveId);
+
+    const { file } = highlightedRow;
+    return driveStatus(file, evaluations.get(file.id), drivesById.get(driveId));
   };
 
   // --- Render ---
@@ -164,7 +503,7 @@ export default function App() {
     <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 p-4 font-sans text-slate-200 selection:bg-blue-500/30">
       
       {/* App Window Container */}
-      <div className="w-full max-w-5xl h-[85vh] min-h-[600px] bg-slate-900/80 backdrop-blur-2xl rounded-2xl border border-white/10 shadow-2xl flex flex-col overflow-hidden">
+      <div className="relative w-full max-w-5xl h-[85vh] min-h-[600px] bg-slate-900/80 backdrop-blur-2xl rounded-2xl border border-white/10 shadow-2xl flex flex-col overflow-hidden">
         
         {/* Title Bar (Global) */}
         <div className="h-10 border-b border-white/5 flex items-center px-4 bg-white/5 select-none shrink-0 z-20 justify-between">
@@ -176,10 +515,53 @@ export default function App() {
           <div className="font-medium text-sm text-slate-400/80 flex items-center justify-center gap-2">
              DriveIndex
           </div>
-          <div className="w-20 text-right">
-             <button className="text-slate-400 hover:text-slate-200 transition-colors">
+          <div className="relative w-20 text-right">
+             <button
+                onClick={() => { setIsSettingsMenuOpen(!isSettingsMenuOpen); setConfigError(null); }}
+                aria-label="Configuration"
+                className="text-slate-400 hover:text-slate-200 transition-colors"
+             >
                 <Settings size={16} />
              </button>
+
+             {isSettingsMenuOpen && (
+                <>
+                    <div className="fixed inset-0 z-30" onClick={() => setIsSettingsMenuOpen(false)} />
+                    <div className="absolute right-0 top-full mt-1 w-56 z-40 bg-slate-800 border border-white/10 rounded-lg shadow-2xl py-1 text-xs text-slate-300 text-left">
+                        <div className="px-3 pt-1.5 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">Configuration</div>
+                        <button
+                            onClick={exportConfig}
+                            className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                        >
+                            <Download size={12} className="text-slate-500" />
+                            Export Drive Roles & View...
+                        </button>
+                        <button
+                            onClick={() => configInputRef.current?.click()}
+                            className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                        >
+                            <Upload size={12} className="text-slate-500" />
+                            Import...
+                        </button>
+                        <input
+                            ref={configInputRef}
+                            type="file"
+                            accept="application/json,.json"
+                            className="hidden"
+                            onChange={(e) => {
+                                const [file] = e.target.files;
+                                e.target.value = '';
+                                if (file) importConfig(file);
+                            }}
+                        />
+                        {configError && (
+                            <div role="alert" className="mx-2 mt-1 mb-0.5 px-2 py-1 rounded-md border border-orange-500/30 text-[10px] text-orange-300">
+                                {configError}
+                            </div>
+                        )}
+                    </div>
+                </>
+             )}
           </div>
         </div>
 
@@ -191,9 +573,13 @@ export default function App() {
                 <div className="flex justify-between items-end mb-3">
                     <div>
                         <h2 className="text-base font-semibold text-white">Indexed Drives</h2>
-                        <p className="text-[10px] text-slate-500 mt-0.5">Toggle 'Backup' to configure safety logic.</p>
+                        <p className="text-[10px] text-slate-500 mt-0.5">Toggle 'Backup' and 'Offsite', then set the policy copies are checked against.</p>
                     </div>
-                    <div className="flex gap-4 text-[10px]">
+                    <div className="relative flex items-center gap-4 text-[10px]">
+                        <div className="flex items-center gap-1.5 text-rose-400">
+                            <div className="w-1.5 h-1.5 rounded-full bg-rose-500 shadow-[0_0_8px_rgba(244,63,94,0.6)]" />
+                            Below Policy
+                        </div>
                         <div className="flex items-center gap-1.5 text-orange-400">
                             <div className="w-1.5 h-1.5 rounded-full bg-orange-500 shadow-[0_0_8px_rgba(249,115,22,0.6)]" />
                             Duplicate
@@ -202,10 +588,42 @@ export default function App() {
                             <div className="w-1.5 h-1.5 rounded-full bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.6)]" />
                             Backup
                         </div>
+                        <button
+                            onClick={() => setIsPolicyEditorOpen(!isPolicyEditorOpen)}
+                            className="flex items-center gap-1.5 bg-slate-700/50 hover:bg-slate-700 border border-white/10 font-medium text-slate-300 px-2 py-1 rounded-md transition-colors"
+                        >
+                            <ShieldCheck size={12} className="text-slate-400" />
+                            Policy
+                            <span className="text-slate-500">{policy.rules.length}</span>
+                        </button>
+                        <button
+                            onClick={() => setIsOverlapOpen(!isOverlapOpen)}
+                            aria-pressed={isOverlapOpen}
+                            className={`flex items-center gap-1.5 border border-white/10 font-medium px-2 py-1 rounded-md transition-colors ${isOverlapOpen ? 'bg-slate-700 text-slate-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+                        >
+                            <Grid3x3 size={12} className="text-slate-400" />
+                            Overlap
+                        </button>
+                        <button
+                            onClick={() => setIsFailurePanelOpen(!isFailurePanelOpen)}
+                            aria-pressed={isFailurePanelOpen}
+                            className={`flex items-center gap-1.5 border border-white/10 font-medium px-2 py-1 rounded-md transition-colors ${isFailurePanelOpen ? 'bg-slate-700 text-slate-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+                        >
+                            <Zap size={12} className={isSimulatingFailure ? 'text-rose-400' : 'text-slate-400'} />
+                            Failures
+                        </button>
+                        {isPolicyEditorOpen && (
+                            <PolicyEditor
+                                policy={policy}
+                                onChange={setPolicy}
+                                onClose={() => setIsPolicyEditorOpen(false)}
+                            />
+                        )}
                     </div>
                 </div>
 
-                <div className="grid grid-cols-3 lg:grid-cols-3 xl:grid-cols-6 gap-2">
+                <div className="flex gap-4 items-start">
+                <div className="flex-1 min-w-0 grid grid-cols-3 lg:grid-cols-3 xl:grid-cols-6 gap-2">
                 {drives.map((drive) => {
                     const status = getHighlightStatus(drive.id);
                     
@@ -215,7 +633,12 @@ export default function App() {
                     let glowClass = "";
                     let iconClass = status === 'warning' ? 'text-orange-400' : (status === 'safe' ? 'text-emerald-400' : 'text-blue-400');
 
-                    if (status === 'safe') {
+                    if (status === 'unsafe') {
+                        containerClass = "bg-rose-900/20 border-rose-500/50";
+                        ringClass = "ring-1 ring-rose-500/50";
+                        glowClass = "shadow-[0_0_30px_-10px_rgba(244,63,94,0.3)]";
+                        iconClass = "text-rose-400";
+                    } else if (status === 'safe') {
                         containerClass = "bg-emerald-900/20 border-emerald-500/50";
                         ringClass = "ring-1 ring-emerald-500/50";
                         glowClass = "shadow-[0_0_30px_-10px_rgba(16,185,129,0.3)]";
@@ -228,19 +651,73 @@ export default function App() {
                         ringClass = "ring-1 ring-slate-500/50";
                         glowClass = "shadow-[0_0_30px_-10px_rgba(148,163,184,0.3)]";
                         iconClass = "text-slate-300";
+                    } else if (status === 'newer') {
+                        containerClass = "bg-sky-900/20 border-sky-500/50";
+                        ringClass = "ring-1 ring-sky-500/50";
+                        glowClass = "shadow-[0_0_30px_-10px_rgba(56,189,248,0.3)]";
+                        iconClass = "text-sky-300";
+                    } else if (status === 'older') {
+                        containerClass = "bg-amber-900/20 border-amber-500/50";
+                        ringClass = "ring-1 ring-amber-500/50";
+                        glowClass = "shadow-[0_0_30px_-10px_rgba(245,158,11,0.3)]";
+                        iconClass = "text-amber-400";
                     } else if (status === 'dimmed') {
                         containerClass = "bg-slate-900/20 border-white/5 opacity-40 blur-[1px] scale-95";
                     }
 
+                    // Simulated failure
+                    const isFailed = failedDriveIds.has(drive.id);
+                    const failureCost = failure.byDrive.get(drive.id);
+                    if (isFailed) {
+                        containerClass = "bg-rose-950/30 border-dashed border-rose-500/60";
+                        ringClass = "";
+                        glowClass = "";
+                        iconClass = "text-rose-400";
+                    }
+
+                    const isConnected = isDriveConnected(drive, connectedDriveIds, now);
+                    const isStaleBackup = isBackupIndexStale(drive, now);
+                    const indexAge = isIndexed(drive) ? formatRelativeTime(drive.lastScanDate, now) : null;
+                    const staleWarning = isStaleBackup
+                        ? (indexAge ? `Backup index is from ${indexAge}; its copies may have changed since, so "safe" can't be trusted until it's rescanned` : 'Backup drive has never been indexed')
+                        : null;
+
                     return (
                     <div 
                         key={drive.id} 
+                        role="group"
+                        aria-label={[
+                            drive.name,
+                            formatBytes(drive.size),
+                            isConnected ? 'connected' : `offline, last seen ${formatRelativeTime(drive.lastSeen, now)}`,
+                            DRIVE_STATUS_LABELS[status],
+                            isStaleBackup && 'stale backup index',
+                            isFailed && `simulated failure, ${formatBytes(failureCost.lostBytes)} lost, ${formatBytes(failureCost.belowPolicyBytes)} below policy`,
+                        ].filter(Boolean).join(', ')}
                         className={`
                             relative p-2.5 rounded-xl border transition-all duration-300 ease-out
                             flex flex-col items-center text-center group
                             ${containerClass} ${ringClass} ${glowClass}
                         `}
                     >
+                        {/* Status in words, not just color */}
+                        {isFailed ? (
+                            <span aria-hidden="true" className="absolute top-1.5 right-2 text-[8px] font-medium uppercase tracking-wider text-rose-400">
+                                Failed
+                            </span>
+                        ) : status !== 'none' && status !== 'dimmed' && (
+                            <span aria-hidden="true" className="absolute top-1.5 right-2 text-[8px] font-medium uppercase tracking-wider text-slate-400">
+                                {DRIVE_STATUS_LABELS[status]}
+                            </span>
+                        )}
+
+                        {/* Stale backup index */}
+                        {isStaleBackup && (
+                            <span title={staleWarning} className="absolute top-1.5 left-2 text-amber-400">
+                                <AlertTriangle size={11} />
+                            </span>
+                        )}
+
                         {/* Icon */}
                         <div className={`mb-2 p-1.5 rounded-full bg-slate-900/50 shadow-inner ${iconClass}`}>
                             <HardDrive size={18} strokeWidth={1.5} />
@@ -248,7 +725,30 @@ export default function App() {
 
                         {/* Info */}
                         <h3 className="text-[10px] font-medium text-slate-200 truncate w-full">{drive.name}</h3>
-                        <p className="text-[9px] text-slate-500 mt-0.5 mb-2">{drive.size}</p>
+                        <p className="text-[9px] text-slate-500 mt-0.5">{formatBytes(drive.size)}</p>
+
+                        {/* Connection & index */}
+                        <p
+                            className="flex items-center gap-1 text-[8px] text-slate-500 mt-0.5"
+                            title={`Last seen ${formatDate(drive.lastSeen)}`}
+                        >
+                            <span className={`w-1.5 h-1.5 rounded-full ${isConnected ? 'bg-emerald-400' : 'bg-slate-600'}`} />
+                            {isConnected ? 'Connected' : `Seen ${formatRelativeTime(drive.lastSeen, now)}`}
+                        </p>
+                        <p
+                            className={`text-[8px] mb-2 truncate w-full ${isStaleBackup ? 'text-amber-400' : 'text-slate-600'}`}
+                            title={staleWarning ?? (indexAge ? `Scanned ${formatDate(drive.lastScanDate)}` : undefined)}
+                        >
+                            {indexAge ? `Scanned ${indexAge} · ${formatCount(drive.fileCount)} files` : 'Not indexed'}
+                        </p>
+                        {isFailed && (
+                            <p
+                                className="-mt-1.5 mb-2 text-[8px] font-medium text-rose-400"
+                                title={`${formatBytes(failureCost.lostBytes)} with no copy left, ${formatBytes(failureCost.belowPolicyBytes)} below policy`}
+                            >
+                                {formatBytes(failureCost.lostBytes + failureCost.belowPolicyBytes)} at risk
+                            </p>
+                        )}
 
                         {/* Toggle Switch */}
                         <label className="flex items-center gap-1.5 cursor-pointer group/toggle mt-auto">
@@ -258,35 +758,132 @@ export default function App() {
                                     className="sr-only peer"
                                     checked={drive.isBackup}
                                     onChange={() => toggleBackup(drive.id)}
+                                    aria-label={`Use ${drive.name} as a backup drive`}
                                 />
-                                <div className="w-6 h-3 bg-slate-700 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-2 after:w-2 after:transition-all peer-checked:bg-emerald-600"></div>
+                                <div className="w-6 h-3 bg-slate-700 rounded-full peer peer-focus-visible:ring-2 peer-focus-visible:ring-blue-400/60 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-2 after:w-2 after:transition-all peer-checked:bg-emerald-600"></div>
                             </div>
                             <span className={`text-[9px] font-medium transition-colors ${drive.isBackup ? 'text-emerald-400' : 'text-slate-600 group-hover/toggle:text-slate-400'}`}>
                                 {drive.isBackup ? 'Backup' : 'Src'}
                             </span>
                         </label>
+
+                        {/* Offsite Tag & failure simulation */}
+                        <div className="mt-1.5 flex gap-1">
+                            <button
+                                onClick={() => toggleDriveTag(drive.id, 'offsite')}
+                                aria-pressed={drive.tags.includes('offsite')}
+                                aria-label={`${drive.name} is offsite`}
+                                className={`px-1.5 rounded text-[8px] font-medium uppercase tracking-wider border transition-colors focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-400/60 ${drive.tags.includes('offsite') ? 'border-sky-500/40 text-sky-300 bg-sky-500/10' : 'border-white/5 text-slate-600 hover:text-slate-400'}`}
+                            >
+                                Offsite
+                            </button>
+
+                            {/* What if it fails? */}
+                            <button
+                                onClick={() => toggleFailed(drive.id)}
+                                aria-pressed={isFailed}
+                                aria-label={`Simulate ${drive.name} failing`}
+                                title="Simulate this drive failing"
+                                className={`px-1 rounded border transition-colors focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-400/60 ${isFailed ? 'border-rose-500/40 text-rose-300 bg-rose-500/10' : 'border-white/5 text-slate-600 hover:text-slate-400'}`}
+                            >
+                                <Zap size={9} />
+                            </button>
+                        </div>
                     </div>
                     );
                 })}
                 </div>
+
+                {isFailurePanelOpen && (
+                    <FailurePanel
+                        drivesById={drivesById}
+                        ranking={failureRanking}
+                        failedDriveIds={failedDriveIds}
+                        totals={failure.totals}
+                        onToggleFailed={toggleFailed}
+                        onClear={() => setFailedDriveIds(new Set())}
+                    />
+                )}
+                {isOverlapOpen && drives.length > 1 && (
+                    <OverlapMatrix
+                        drives={drives}
+                        overlap={overlap}
+                        selectedPair={overlapPair}
+                        onSelectPair={setOverlapPair}
+                    />
+                )}
+                </div>
             </div>
 
             {/* Mid Bar: Sort & Search & Toggles */}
             <div className="h-12 border-b border-white/5 bg-slate-800/30 px-6 flex items-center justify-between shrink-0">
                 
-                {/* Sort Button */}
-                <div className="flex items-center gap-2 w-48">
-                        <button className="flex items-center gap-2 bg-slate-700/50 hover:bg-slate-700 border border-white/10 text-xs font-medium text-slate-300 px-3 py-1.5 rounded-md shadow-sm transition-colors">
+                {/* Sort Menu */}
+                <div className="relative flex items-center gap-2 w-48">
+                        <button
+                            onClick={() => setIsSortMenuOpen(!isSortMenuOpen)}
+                            className="flex items-center gap-2 bg-slate-700/50 hover:bg-slate-700 border border-white/10 text-xs font-medium text-slate-300 px-3 py-1.5 rounded-md shadow-sm transition-colors"
+                        >
                             <ArrowUpDown size={14} className="text-slate-400" />
-                            Sort by Size
+                            Sort by {sortKeyLabel(sort.key)}
+                            {sort.direction === 'asc' ? <ArrowUp size={12} className="text-slate-500" /> : <ArrowDown size={12} className="text-slate-500" />}
                             <ChevronDown size={12} className="text-slate-500 ml-1" />
                         </button>
+
+                        {isSortMenuOpen && (
+                            <>
+                                {/* Click-away layer */}
+                                <div className="fixed inset-0 z-30" onClick={() => setIsSortMenuOpen(false)} />
+
+                                <div className="absolute left-0 top-full mt-1 w-52 z-40 bg-slate-800 border border-white/10 rounded-lg shadow-2xl py-1 text-xs text-slate-300">
+                                    <div className="px-3 pt-1.5 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">Sort by</div>
+                                    {SORT_KEYS.map((key) => (
+                                        <button
+                                            key={key.id}
+                                            onClick={() => selectSortKey(key.id)}
+                                            className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                                        >
+                                            {sort.key === key.id ? <Check size={12} className="text-blue-400" /> : <div className="w-3" />}
+                                            {key.label}
+                                        </button>
+                                    ))}
+
+                                    <div className="h-px bg-white/5 my-1" />
+                                    <div className="px-3 pt-1.5 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">Order</div>
+                                    {[['desc', 'Descending'], ['asc', 'Ascending']].map(([direction, label]) => (
+                                        <button
+                                            key={direction}
+                                            onClick={() => setSort({ ...sort, direction })}
+                                            className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                                        >
+                                            {sort.direction === direction ? <Check size={12} className="text-blue-400" /> : <div className="w-3" />}
+                                            {label}
+                                        </button>
+                                    ))}
+
+                                    <div className="h-px bg-white/5 my-1" />
+                                    <div className="px-3 pt-1.5 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">Then by</div>
+                                    {SORT_KEYS.filter(key => key.id !== sort.key).map((key) => (
+                                        <button
+                                            key={key.id}
+                                            onClick={() => setSort({ ...sort, secondary: key.id })}
+                                            className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                                        >
+                                            {sort.secondary === key.id ? <Check size={12} className="text-blue-400" /> : <div className="w-3" />}
+                                            {key.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </>
+                        )}
                 </div>
 
                 {/* Center Toggles */}
                 <div className="flex items-center gap-1 bg-slate-900/50 p-1 rounded-lg border border-white/5">
                     <button 
                         onClick={() => setShowBackedUp(!showBackedUp)}
+                        aria-pressed={showBackedUp}
+                        title="Files that meet their backup policy"
                         className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-[11px] font-medium transition-all ${showBackedUp ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/30 shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}
                     >
                         {showBackedUp ? <CheckCircle2 size={12} /> : <div className="w-3" />}
@@ -295,11 +892,23 @@ export default function App() {
                     <div className="w-px h-4 bg-white/10 mx-1"></div>
                     <button 
                         onClick={() => setShowDuplicates(!showDuplicates)}
+                        aria-pressed={showDuplicates}
+                        title="Files with redundant source copies or below their backup policy"
                         className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-[11px] font-medium transition-all ${showDuplicates ? 'bg-orange-500/20 text-orange-300 border border-orange-500/30 shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}
                     >
                         {showDuplicates ? <AlertCircle size={12} /> : <div className="w-3" />}
                         Duplicates
                     </button>
+                    <div className="w-px h-4 bg-white/10 mx-1"></div>
+                    <button 
+                        onClick={() => setShowDiverged(!showDiverged)}
+                        aria-pressed={showDiverged}
+                        title="Same file name on several drives with different content and dates"
+                        className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-[11px] font-medium transition-all ${showDiverged ? 'bg-amber-500/20 text-amber-300 border border-amber-500/30 shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}
+                    >
+                        {showDiverged ? <GitBranch size={12} /> : <div className="w-3" />}
+                        Diverged
+                    </button>
                 </div>
 
                 {/* Search Input */}
@@ -308,98 +917,116 @@ export default function App() {
                     <input 
                         type="text" 
                         placeholder="Search..." 
-                        className="bg-slate-900/40 border border-white/10 rounded-md py-1.5 pl-8 pr-3 text-xs text-slate-200 focus:outline-none focus:border-blue-500/40 focus:bg-slate-900/60 focus:ring-1 focus:ring-blue-500/20 w-40 transition-all placeholder-slate-600" 
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                        onKeyDown={handleSearchKeyDown}
+                        ref={searchRef}
+                        aria-invalid={Boolean(query.error)}
+                        title='e.g. ext:dng drive:"LaCie Rugged" size:>1GB copies:>=3 modified:<2024-06 unbacked'
+                        className={`bg-slate-900/40 border rounded-md py-1.5 pl-8 pr-3 text-xs text-slate-200 focus:outline-none focus:bg-slate-900/60 focus:ring-1 w-40 transition-all placeholder-slate-600 ${query.error ? 'border-orange-500/60 focus:border-orange-500/60 focus:ring-orange-500/20' : 'border-white/10 focus:border-blue-500/40 focus:ring-blue-500/20'}`}
                     />
+                    {query.error && (
+                        <div role="alert" className="absolute right-0 top-full mt-1 w-56 z-40 bg-slate-800 border border-orange-500/30 rounded-md px-2 py-1 text-[10px] text-orange-300 shadow-xl">
+                            {query.error.message}
+                        </div>
+                    )}
                 </div>
             </div>
 
             {/* Bottom Section: File List */}
-            <div className="flex-1 bg-slate-900/30 overflow-y-auto scrollbar-thin scrollbar-thumb-slate-700 scrollbar-track-transparent min-h-0">
+            <div
+                ref={scrollRef}
+                data-duplicate-list
+                className="relative flex-1 bg-slate-900/30 overflow-y-auto scrollbar-thin scrollbar-thumb-slate-700 scrollbar-track-transparent min-h-0"
+            >
                 <div className="sticky top-0 bg-slate-900/95 backdrop-blur-md border-b border-white/5 px-6 py-2 grid grid-cols-12 text-[10px] font-semibold text-slate-500 uppercase tracking-wider z-10">
-                    <div className="col-span-5">Filename</div>
+                    <div className="col-span-5 flex items-center gap-3">
+                        <input
+                            type="checkbox"
+                            checked={allVisibleSelected}
+                            onChange={toggleSelectAll}
+                            aria-label="Select all"
+                            className="accent-blue-500"
+                        />
+                        Filename
+                    </div>
                     <div className="col-span-2 text-right pr-8">Size</div>
                     <div className="col-span-3 text-center">Locations</div>
                     <div className="col-span-2 text-right">Date</div>
                 </div>
 
                 <div className="p-2 px-4">
-                    {filteredFiles.map((file) => {
-                        
-                        // Calculate status for pills here to reuse logic
-                        const sourceDrivesWithFile = file.drives.filter(dId => {
-                            const d = drives.find(drv => drv.id === dId);
-                            return d && !d.isBackup;
-                        });
-                        const backupDrivesWithFile = file.drives.filter(dId => {
-                            const d = drives.find(drv => drv.id === dId);
-                            return d && d.isBackup;
-                        });
-                        const isSingleSourceSafe = sourceDrivesWithFile.length === 1 && backupDrivesWithFile.length >= 1;
-
-                        return (
-                        <div 
-                            key={file.id}
-                            onMouseEnter={() => setHoveredFileId(file.id)}
-                            onMouseLeave={() => setHoveredFileId(null)}
-                            className={`
-                                group grid grid-cols-12 items-center py-2.5 px-4 mb-1 rounded-md cursor-default transition-all duration-200
-                                ${hoveredFileId === file.id ? 'bg-blue-500/10 border border-blue-500/20 shadow-lg translate-x-0.5' : 'border border-transparent hover:bg-white/5'}
-                            `}
-                        >
-                            {/* Name & Icon */}
-                            <div className="col-span-5 flex items-center gap-3 overflow-hidden">
-                                <div className="p-1.5 rounded bg-slate-800 text-slate-300 border border-white/5 group-hover:bg-slate-700 group-hover:border-white/10 transition-colors">
-                                    {getFileIcon(file.type)}
-                                </div>
-                                <div className="min-w-0">
-                                    <div className={`text-xs font-medium truncate transition-colors ${hoveredFileId === file.id ? 'text-blue-200' : 'text-slate-300'}`}>
-                                        {file.name}
-                                    </div>
-                                    <div className="text-[9px] text-slate-500 truncate opacity-0 group-hover:opacity-100 transition-opacity">
-                                        /Volumes/Macintosh HD/Users/Admin/Documents/...
-                                    </div>
-                                </div>
-                            </div>
-
-                            {/* Size */}
-                            <div className="col-span-2 text-right pr-8 text-xs text-slate-400 font-mono">
-                                {file.size}
-                            </div>
-
-                            {/* Locations Pills */}
-                            <div className="col-span-3 flex justify-center gap-1">
-                                {file.drives.map((driveId) => {
-                                    const drive = drives.find(d => d.id === driveId);
-                                    const isBackup = drive.isBackup;
-                                    
-                                    let pillClass = 'bg-slate-700';
-                                    if (hoveredFileId === file.id) {
-                                        if (isBackup) {
-                                            pillClass = 'bg-emerald-500 shadow-[0_0_10px_rgba(16,185,129,0.5)] scale-y-110';
-                                        } else if (isSingleSourceSafe) {
-                                             pillClass = 'bg-slate-400 shadow-[0_0_10px_rgba(148,163,184,0.5)] scale-y-110';
-                                        } else {
-                                            pillClass = 'bg-orange-500 shadow-[0_0_10px_rgba(249,115,22,0.5)] scale-y-110';
-                                        }
-                                    }
-
-                                    return (
-                                        <div 
-                                            key={driveId}
-                                            className={`w-1.5 h-5 rounded-sm transition-all duration-300 ${pillClass}`}
-                                            title={drive.name}
-                                        />
-                                    );
-                                })}
-                                <span className="ml-2 text-[10px] text-slate-600 font-medium self-center">{file.drives.length}</span>
-                            </div>
-
-                            {/* Date */}
-                            <div className="col-span-2 text-right text-[10px] text-slate-500">
-                                {file.date}
-                            </div>
-                        </div>
-                    )})}
+                    {isLoading && (
+                        <div className="py-10 text-center text-xs text-slate-500">Loading catalog...</div>
+                    )}
+                    {errorMessage && (
+                        <div className="py-10 text-center text-xs text-orange-400">{errorMessage}</div>
+                    )}
+                    <div
+                        ref={listRef}
+                        role="listbox"
+                        tabIndex={0}
+                        aria-label="Duplicate files"
+                        aria-multiselectable="true"
+                        aria-activedescendant={activeIndex >= start && activeIndex < end ? rowDomId(activeRowId) : undefined}
+                        onKeyDown={handleListKeyDown}
+                        style={{ paddingTop, paddingBottom }}
+                        className="focus:outline-none"
+                    >
+                        {rows.slice(start, end).map((row) => (row.kind === 'diverged' ? (
+                            <DivergedRow
+                                key={row.id}
+                                group={row.group}
+                                drivesById={drivesById}
+                                queryTerms={query.terms}
+                                isHighlighted={highlightedRowId === row.id}
+                                isActive={activeRowId === row.id}
+                                onHover={setHoveredRowId}
+                                onActivate={activateRow}
+                            />
+                        ) : row.kind === 'folder' ? (
+                            <FolderRow
+                                key={row.id}
+                                folder={row.folder}
+                                files={row.files}
+                                drivesById={drivesById}
+                                isHighlighted={highlightedRowId === row.id}
+                                isActive={activeRowId === row.id}
+                                isSelected={row.files.every(file => selectedFileIds.has(file.id))}
+                                isExpanded={expandedIds.has(row.id)}
+                                onHover={setHoveredRowId}
+                                onActivate={activateRow}
+                                onToggleExpanded={toggleExpanded}
+                                onToggleSelected={toggleFilesSelected}
+                            />
+                        ) : (
+                            <DuplicateRow
+                                key={row.id}
+                                rowId={row.id}
+                                isNested={row.folderId != null}
+                                file={row.file}
+                                evaluation={evaluations.get(row.file.id)}
+                                drivesById={drivesById}
+                                queryTerms={query.terms}
+                                isHighlighted={highlightedRowId === row.id}
+                                isActive={activeRowId === row.id}
+                                isSelected={selectedFileIds.has(row.file.id)}
+                                isExpanded={expandedIds.has(row.file.id)}
+                                staleLocationIds={staleCopies.get(row.file.id) ?? NO_STALE_COPIES}
+                                failureOutcome={failure.outcomes.get(row.file.id) ?? null}
+                                keeperLocationId={keepers.get(row.file.id) ?? null}
+                                onHover={setHoveredRowId}
+                                onActivate={activateRow}
+                                onToggleSelected={toggleSelected}
+                                onToggleExpanded={toggleExpanded}
+                                onSelectKeeper={selectKeeper}
+                                onReveal={onReveal}
+                            />
+                        )))}
+                    </div>
+                    {displayedCount < rows.length && (
+                        <div className="py-3 text-center text-[10px] text-slate-600">Loading more...</div>
+                    )}
                 </div>
             </div>
 
@@ -408,12 +1035,118 @@ export default function App() {
                 <div className="flex gap-4">
                     <span>{drives.length} Drives</span>
                     <span>{filteredFiles.length} Items (of {duplicates.length})</span>
+                    {sortedDiverged.length > 0 && (
+                        <span className="text-amber-400">{sortedDiverged.length} Diverged</span>
+                    )}
+                    {displayedCount < rows.length && (
+                        <span>{displayedCount} Loaded</span>
+                    )}
+                    {selectedFiles.length > 0 && (
+                        <span className="text-blue-400">{selectedFiles.length} Selected</span>
+                    )}
+                    {liveStatus && (
+                        <span
+                            title={liveStatus === 'open' ? 'Following the indexer' : 'Indexer event stream unavailable'}
+                            className={`flex items-center gap-1 ${liveStatus === 'open' ? 'text-emerald-400' : 'text-slate-500'}`}
+                        >
+                            <span className={`w-1.5 h-1.5 rounded-full ${liveStatus === 'open' ? 'bg-emerald-400' : 'bg-slate-600'}`} />
+                            {liveStatus === 'open' ? 'Live' : liveStatus === 'connecting' ? 'Connecting...' : 'Offline'}
+                        </span>
+                    )}
+                    {hashProgress && (
+                        <span
+                            role="status"
+                            title={hashProgress.currentFile ?? undefined}
+                            className="flex items-center gap-1.5 text-sky-400"
+                        >
+                            {hashProgress.isComplete
+                                ? `Hashed ${formatCount(hashProgress.filesHashed)} files`
+                                : (
+                                    <>
+                                        <span className="w-16 h-1 rounded-full bg-slate-700 overflow-hidden">
+                                            <span className="block h-full bg-sky-500 transition-all" style={{ width: `${progressPercentage(hashProgress)}%` }} />
+                                        </span>
+                                        Hashing {formatCount(hashProgress.filesHashed)} / {formatCount(hashProgress.totalFiles)}
+                                    </>
+                                )}
+                        </span>
+                    )}
+                    {isSimulatingFailure && (
+                        <button
+                            onClick={() => setFailedDriveIds(new Set())}
+                            aria-label="Clear failure simulation"
+                            title={`${failure.totals.lostFiles} lost (${formatBytes(failure.totals.lostBytes)}), ${failure.totals.belowPolicyFiles} below policy (${formatBytes(failure.totals.belowPolicyBytes)})`}
+                            className="flex items-center gap-1 text-rose-400 hover:text-rose-300"
+                        >
+                            If {[...failedDriveIds].map(id => drivesById.get(id)?.name ?? id).join(' + ')} failed
+                            <X size={10} />
+                        </button>
+                    )}
+                    {overlapPair && (
+                        <button
+                            onClick={() => setOverlapPair(null)}
+                            aria-label="Clear drive pair filter"
+                            className="flex items-center gap-1 text-blue-400 hover:text-blue-300"
+                        >
+                            {overlapPair[0] === overlapPair[1]
+                                ? `Only on ${drivesById.get(overlapPair[0])?.name}`
+                                : `Shared by ${drivesById.get(overlapPair[0])?.name} + ${drivesById.get(overlapPair[1])?.name}`}
+                            <X size={10} />
+                        </button>
+                    )}
                 </div>
-                <div className="flex gap-2">
-                    <span className="hover:text-slate-300 cursor-pointer">Export</span>
+                <div className="relative flex gap-4">
+                    <button
+                        onClick={() => setIsCleanupOpen(true)}
+                        disabled={cleanupFiles.length === 0}
+                        className="hover:text-slate-300 disabled:opacity-40 disabled:hover:text-slate-500"
+                    >
+                        Plan Cleanup{selectedFiles.length > 0 ? ` (${selectedFiles.length})` : ''}
+                    </button>
+                    <button
+                        onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+                        disabled={sortedFiles.length === 0}
+                        className="hover:text-slate-300 disabled:opacity-40 disabled:hover:text-slate-500"
+                    >
+                        Export
+                    </button>
+
+                    {isExportMenuOpen && (
+                        <>
+                            <div className="fixed inset-0 z-30" onClick={() => setIsExportMenuOpen(false)} />
+                            <div className="absolute right-0 bottom-full mb-2 w-36 z-40 bg-slate-800 border border-white/10 rounded-lg shadow-2xl py-1 text-xs text-slate-300">
+                                <div className="px-3 pt-1.5 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">
+                                    Export {sortedFiles.length} Items
+                                </div>
+                                {EXPORT_FORMATS.map((format) => (
+                                    <button
+                                        key={format.id}
+                                        onClick={() => exportFiles(format.id)}
+                                        className="w-full flex items-center gap-2 px-3 py-1 hover:bg-white/5 text-left"
+                                    >
+                                        <Download size={12} className="text-slate-500" />
+                                        {format.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
+
+        {isCleanupOpen && (
+            <CleanupPlanPanel
+                files={cleanupFiles}
+                isSelection={selectedFiles.length > 0}
+                drives={drives}
+                policy={policy}
+                keepers={keepers}
+                onSelectKeeper={selectKeeper}
+                onChangeDriveType={setDriveType}
+                onClose={() => setIsCleanupOpen(false)}
+            />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Ban, Download, HardDrive, Star, Trash2, X } from 'lucide-react';
+import { DRIVE_TYPES, KEEPER_STRATEGIES, buildCleanupPlan, planToJson, planToShellScript } from './cleanup';
+import { downloadFile } from './export';
+import { formatBytes } from './format';
+
+// Review sheet for a cleanup plan. It only builds and exports the plan;
+// removing anything is left to whoever runs the exported script. Any copy in
+// the plan can be kept instead of the rule's pick; `keepers` holds those
+// choices and picking the same copy again hands it back to the rule.
+export default function CleanupPlanPanel({ files, isSelection, drives, policy, keepers, onSelectKeeper, onChangeDriveType, onClose }) {
+  const [strategy, setStrategy] = useState('newest-fastest');
+
+  const plan = buildCleanupPlan({ files, drives, policy, strategy, keepers });
+
+  // Only source drives matter for "fastest"; backups are never candidates
+  const heldDriveIds = new Set(files.flatMap(file => file.drives));
+  const sourceDrives = drives.filter(drive => !drive.isBackup && heldDriveIds.has(drive.id));
+
+  const keeperIds = new Set(plan.keepers.map(keeper => keeper.locationId));
+  const stepsByFile = files
+    .map(file => ({ file, steps: plan.steps.filter(step => step.fileId === file.id) }))
+    .filter(entry => entry.steps.length > 0);
+
+  const exportPlan = (format) => {
+    const date = plan.createdAt.slice(0, 10);
+    if (format === 'sh') {
+      downloadFile(planToShellScript(plan), `driveindex-cleanup-${date}.sh`, 'text/x-shellscript');
+    } else {
+      downloadFile(planToJson(plan), `driveindex-cleanup-${date}.json`, 'application/json');
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-slate-950/60 backdrop-blur-sm flex items-center justify-center p-8">
+      <div role="dialog" aria-label="Cleanup plan" className="w-full max-w-3xl max-h-full flex flex-col bg-slate-900 border border-white/10 rounded-xl shadow-2xl text-xs text-slate-300">
+
+        {/* Header */}
+        <div className="flex items-start justify-between px-4 py-3 border-b border-white/5">
+          <div>
+            <h2 className="text-sm font-semibold text-white">Cleanup Plan</h2>
+            <p className="text-[10px] text-slate-500 mt-0.5">
+              {isSelection ? `${files.length} selected file${files.length === 1 ? '' : 's'}` : `All ${files.length} files in the list`}.
+              Nothing is deleted from DriveIndex; export the plan to review and run it yourself.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300" aria-label="Close cleanup plan">
+            <X size={16} />
+          </button>
+        </div>
+
+        {/* Rule & drive speeds */}
+        <div className="px-4 py-3 border-b border-white/5 flex flex-wrap items-center gap-x-6 gap-y-2">
+          <label className="flex items-center gap-2">
+            <span className="text-slate-500">Keep</span>
+            <select
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value)}
+              className="bg-slate-800 border border-white/10 rounded px-2 py-1 text-[11px] focus:outline-none focus:border-blue-500/40"
+            >
+              {KEEPER_STRATEGIES.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {sourceDrives.map(drive => (
+            <label key={drive.id} className="flex items-center gap-1.5 text-[10px]">
+              <HardDrive size={12} className="text-slate-500" />
+              {drive.name}
+              <select
+                value={drive.type ?? ''}
+                onChange={(e) => onChangeDriveType(drive.id, e.target.value || null)}
+                className="bg-slate-800 border border-white/10 rounded px-1 py-0.5 text-[10px] focus:outline-none focus:border-blue-500/40"
+              >
+                <option value="">Unknown</option>
+                {DRIVE_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        {/* Steps */}
+        <div className="flex-1 overflow-y-auto min-h-0 px-4 py-2">
+          {stepsByFile.length === 0 && (
+            <div className="py-10 text-center text-slate-500">No redundant source copies to remove.</div>
+          )}
+          {stepsByFile.map(({ file, steps }) => (
+            <div key={file.id} className="py-2 border-b border-white/5 last:border-0">
+              <div className="flex justify-between mb-1">
+                <span className="font-medium text-slate-200 truncate">{file.name}</span>
+                <span className="text-slate-500 font-mono">{formatBytes(file.size)}</span>
+              </div>
+              {file.locations.filter(location => keeperIds.has(location.id)).map(location => (
+                <div key={location.id} className="flex items-center gap-2 pl-2 text-[10px] text-emerald-400/80">
+                  {keepers.has(file.id) ? (
+                    <button
+                      onClick={() => onSelectKeeper(file.id, location.id)}
+                      aria-label={`Let the rule pick the copy of ${file.name} to keep`}
+                      title="Picked by hand (click to let the rule choose)"
+                      className="text-blue-400 hover:text-slate-300"
+                    >
+                      <Star size={12} fill="currentColor" />
+                    </button>
+                  ) : (
+                    <div className="w-3" />
+                  )}
+                  <span className="shrink-0">Keep</span>
+                  <span className="text-slate-400 shrink-0">{drives.find(d => d.id === location.driveId)?.name}</span>
+                  <span className="font-mono text-slate-500 truncate">{location.relativePath}</span>
+                </div>
+              ))}
+              {steps.map(step => (
+                <div
+                  key={step.locationId}
+                  title={step.reason ?? undefined}
+                  className={`flex items-center gap-2 pl-2 text-[10px] ${step.action === 'remove' ? 'text-orange-300' : 'text-slate-500'}`}
+                >
+                  {step.action === 'remove' ? <Trash2 size={12} /> : <Ban size={12} />}
+                  <span className="shrink-0">{step.action === 'remove' ? 'Remove' : 'Refused'}</span>
+                  <span className="text-slate-400 shrink-0">{step.driveName}</span>
+                  <span className="font-mono text-slate-500 truncate">{step.relativePath}</span>
+                  {step.reason && <span className="ml-auto shrink-0 text-rose-400/80">{step.reason}</span>}
+                  <button
+                    onClick={() => onSelectKeeper(file.id, step.locationId)}
+                    aria-label={`Keep the copy on ${step.driveName} instead`}
+                    className={`${step.reason ? '' : 'ml-auto'} shrink-0 text-slate-500 hover:text-slate-300`}
+                  >
+                    Keep instead
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {/* Totals & export */}
+        <div className="flex items-center justify-between px-4 py-3 border-t border-white/5 bg-slate-950/30 rounded-b-xl">
+          <div className="flex gap-4 text-[11px]">
+            <span><span className="text-white font-medium">{plan.totals.removeCount}</span> {plan.totals.removeCount === 1 ? 'copy' : 'copies'} to remove</span>
+            <span><span className="text-white font-medium">{formatBytes(plan.totals.reclaimedBytes)}</span> reclaimed</span>
+            {plan.totals.refusedCount > 0 && (
+              <span className="text-rose-400">{plan.totals.refusedCount} refused</span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {[['sh', 'Dry-Run Script'], ['json', 'JSON']].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => exportPlan(format)}
+                disabled={plan.steps.length === 0}
+                className="flex items-center gap-1.5 bg-slate-700/50 hover:bg-slate-700 border border-white/10 text-[11px] font-medium text-slate-300 px-2.5 py-1 rounded-md transition-colors disabled:opacity-40"
+              >
+                <Download size={12} className="text-slate-400" />
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
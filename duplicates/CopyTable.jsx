@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Clock, Copy, FolderOpen, Star } from 'lucide-react';
+import { formatDate } from './format';
+import { copyText, hashPrefix, volumePath } from './locations';
+
+// How long "Copied" shows after copying a path
+const COPIED_DISPLAY_MS = 1500;
+
+// Every copy of a file, like FileLocation rows in the Swift DuplicatesView:
+// drive, role, full path, date and hash, with per-copy actions. Picking a
+// keeper feeds the cleanup plan; `onReveal` is supplied by the host (e.g. a
+// local shell opening Finder) and the action is hidden without one.
+export default function CopyTable({ file, drivesById, staleLocationIds, keeperLocationId, onSelectKeeper, onReveal }) {
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    if (copiedId == null) return undefined;
+    const timer = setTimeout(() => setCopiedId(null), COPIED_DISPLAY_MS);
+    return () => clearTimeout(timer);
+  }, [copiedId]);
+
+  const copyPath = async (location, path) => {
+    if (await copyText(path)) setCopiedId(location.id);
+  };
+
+  const actionClass = 'p-0.5 rounded focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-400/60';
+
+  return (
+    <div role="table" aria-label={`Copies of ${file.name}`} className="pb-2 pl-[4.25rem] pr-4 text-[10px]">
+      <div role="row" className="h-5 flex items-center gap-2 text-[9px] font-semibold uppercase tracking-wider text-slate-600">
+        <span role="columnheader" className="w-24 shrink-0">Drive</span>
+        <span role="columnheader" className="w-12 shrink-0">Role</span>
+        <span role="columnheader" className="flex-1 min-w-0">Path</span>
+        <span role="columnheader" className="w-20 shrink-0 text-right">Modified</span>
+        <span role="columnheader" className="w-20 shrink-0">Hash</span>
+        <span role="columnheader" className="w-16 shrink-0 text-right">Actions</span>
+      </div>
+
+      {file.locations.map((location) => {
+        const drive = drivesById.get(location.driveId);
+        const path = volumePath(drive, location);
+        const hash = location.hash ?? file.hash;
+        const isKeeper = keeperLocationId === location.id;
+        const isStale = staleLocationIds.has(location.id);
+
+        return (
+          <div
+              key={location.id}
+              role="row"
+              className={`h-5 flex items-center gap-2 rounded-sm ${isKeeper ? 'bg-blue-500/10' : ''}`}
+          >
+              <span role="cell" className="w-24 shrink-0 truncate text-slate-400">{drive?.name ?? location.driveId}</span>
+              <span role="cell" className={`w-12 shrink-0 font-medium ${drive?.isBackup ? 'text-emerald-400' : 'text-slate-500'}`}>
+                  {drive?.isBackup ? 'Backup' : 'Source'}
+              </span>
+              <span role="cell" className="flex-1 min-w-0 font-mono text-slate-500 truncate" title={path}>
+                  {location.relativePath}
+              </span>
+              <span role="cell" className={`w-20 shrink-0 flex items-center justify-end gap-1 ${isStale ? 'text-amber-400' : 'text-slate-400'}`}>
+                  {isStale && (
+                      <span title="Drive not rescanned since the file last changed; this copy may be out of date">
+                          <Clock size={9} />
+                      </span>
+                  )}
+                  {formatDate(location.modifiedAt)}
+              </span>
+              <span role="cell" className="w-20 shrink-0 font-mono text-slate-600" title={hash ?? undefined}>{hashPrefix(hash)}</span>
+              <span role="cell" className="w-16 shrink-0 flex items-center justify-end gap-0.5">
+                  <button
+                      onClick={(e) => { e.stopPropagation(); copyPath(location, path); }}
+                      aria-label={`Copy path of the copy on ${drive?.name ?? location.driveId}`}
+                      title={copiedId === location.id ? 'Copied' : 'Copy path'}
+                      className={`${actionClass} ${copiedId === location.id ? 'text-emerald-400' : 'text-slate-500 hover:text-slate-200'}`}
+                  >
+                      {copiedId === location.id ? <Check size={10} /> : <Copy size={10} />}
+                  </button>
+                  <button
+                      onClick={(e) => { e.stopPropagation(); onSelectKeeper(file.id, location.id); }}
+                      disabled={drive?.isBackup}
+                      aria-pressed={isKeeper}
+                      aria-label={`Keep the copy on ${drive?.name ?? location.driveId}`}
+                      title={drive?.isBackup ? 'Backup copies are always kept' : isKeeper ? 'Keeper for cleanup (click to unset)' : 'Keep this copy when cleaning up'}
+                      className={`${actionClass} ${isKeeper ? 'text-blue-400' : 'text-slate-500 hover:text-slate-200'} disabled:opacity-30 disabled:hover:text-slate-500`}
+                  >
+                      <Star size={10} fill={isKeeper ? 'currentColor' : 'none'} />
+                  </button>
+                  {onReveal && (
+                      <button
+                          onClick={(e) => { e.stopPropagation(); onReveal({ file, location, drive, path }); }}
+                          aria-label={`Reveal the copy on ${drive?.name ?? location.driveId}`}
+                          title="Reveal in Finder"
+                          className={`${actionClass} text-slate-500 hover:text-slate-200`}
+                      >
+                          <FolderOpen size={10} />
+                      </button>
+                  )}
+              </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
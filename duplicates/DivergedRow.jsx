@@ -0,0 +1,115 @@
+import React, { memo } from 'react';
+import { GitBranch } from 'lucide-react';
+import { formatBytes, formatDate, formatDateTime } from './format';
+import { describeDivergence, isNewestCopy } from './divergence';
+import { hashPrefix, volumePath } from './locations';
+import { highlightSegments } from './query';
+import { ROW_GAP, rowDomId, rowHeightFor } from './DuplicateRow';
+
+// Every copy is listed, so the row is as tall as an expanded file row
+export const divergedRowHeight = (group) => rowHeightFor(group, true);
+
+// A file whose copies no longer match. Each copy shows its size, date and
+// hash, with the newest version marked; older ones are what a restore from
+// that drive would bring back.
+function DivergedRow({ group, drivesById, queryTerms, isHighlighted, isActive, onHover, onActivate }) {
+  const summary = describeDivergence(group, drivesById);
+
+  return (
+    <div
+        id={rowDomId(group.id)}
+        role="option"
+        aria-selected={false}
+        aria-label={`${group.name}, diverged, ${summary}`}
+        onMouseEnter={() => onHover(group.id)}
+        onMouseLeave={() => onHover(null)}
+        onClick={() => onActivate(group.id)}
+        style={{ height: divergedRowHeight(group) - ROW_GAP }}
+        className={`
+            mb-1 rounded-md cursor-default transition-all duration-200 overflow-hidden
+            ${isHighlighted ? 'bg-amber-500/10 border border-amber-500/20 shadow-lg translate-x-0.5' : 'border border-amber-500/10 hover:bg-white/5'}
+            ${isActive ? 'ring-1 ring-blue-400/60' : ''}
+        `}
+    >
+      <div className="grid grid-cols-12 items-center h-[50px] px-4">
+        {/* Name & Icon */}
+        <div className="col-span-5 flex items-center gap-3 overflow-hidden">
+            <div className="w-[13px] shrink-0" />
+            <div className="p-1.5 rounded bg-slate-800 text-amber-400 border border-white/5">
+                <GitBranch size={20} />
+            </div>
+            <div className="min-w-0">
+                <div className={`text-xs font-medium truncate ${isHighlighted ? 'text-amber-100' : 'text-slate-300'}`}>
+                    {highlightSegments(group.name, queryTerms).map((segment, i) => (
+                        segment.isMatch
+                            ? <mark key={i} className="bg-blue-500/30 text-blue-100 rounded-sm">{segment.text}</mark>
+                            : <React.Fragment key={i}>{segment.text}</React.Fragment>
+                    ))}
+                </div>
+                <div className="text-[9px] text-amber-400/80 truncate">{summary}</div>
+            </div>
+        </div>
+
+        {/* Size (newest version) */}
+        <div className="col-span-2 text-right pr-8 text-xs text-slate-400 font-mono">
+            {formatBytes(group.size)}
+        </div>
+
+        {/* Locations Pills */}
+        <div className="col-span-3 flex justify-center gap-1">
+            {group.locations.map((location) => {
+                const isNewest = isNewestCopy(group, location);
+                const pillClass = !isHighlighted ? 'bg-slate-700' : isNewest
+                    ? 'bg-sky-400 shadow-[0_0_10px_rgba(56,189,248,0.5)] scale-y-110'
+                    : 'bg-amber-500 shadow-[0_0_10px_rgba(245,158,11,0.5)] scale-y-110';
+
+                return (
+                    <div
+                        key={location.id}
+                        className={`w-1.5 h-5 rounded-sm transition-all duration-300 ${pillClass}`}
+                        title={`${drivesById.get(location.driveId)?.name} (${isNewest ? 'newest' : 'older'})`}
+                    />
+                );
+            })}
+            <span className="ml-2 text-[10px] text-slate-600 font-medium self-center" title={`${group.versionCount} versions`}>{group.locations.length}</span>
+        </div>
+
+        {/* Date */}
+        <div className="col-span-2 text-right text-[10px] text-slate-500">
+            {formatDate(group.modifiedAt)}
+        </div>
+      </div>
+
+      {/* Copies */}
+      <div role="table" aria-label={`Copies of ${group.name}`} className="pb-2 pl-[4.25rem] pr-4 text-[10px]">
+          <div role="row" className="h-5 flex items-center gap-2 text-[9px] font-semibold uppercase tracking-wider text-slate-600">
+              <span role="columnheader" className="w-28 shrink-0">Drive</span>
+              <span role="columnheader" className="flex-1 min-w-0">Path</span>
+              <span role="columnheader" className="w-16 shrink-0 text-right">Size</span>
+              <span role="columnheader" className="w-36 shrink-0 text-right">Modified</span>
+              <span role="columnheader" className="w-20 shrink-0">Hash</span>
+              <span role="columnheader" className="w-12 shrink-0">Version</span>
+          </div>
+          {group.locations.map((location) => {
+              const drive = drivesById.get(location.driveId);
+              const isNewest = isNewestCopy(group, location);
+
+              return (
+                  <div key={location.id} role="row" className="h-5 flex items-center gap-2">
+                      <span role="cell" className="w-28 shrink-0 truncate text-slate-400">{drive?.name ?? location.driveId}</span>
+                      <span role="cell" className="flex-1 min-w-0 font-mono text-slate-500 truncate" title={volumePath(drive, location)}>{location.relativePath}</span>
+                      <span role="cell" className="w-16 shrink-0 text-right font-mono text-slate-400">{formatBytes(location.size)}</span>
+                      <span role="cell" className="w-36 shrink-0 text-right text-slate-400">{formatDateTime(location.modifiedAt)}</span>
+                      <span role="cell" className="w-20 shrink-0 font-mono text-slate-600" title={location.hash}>{hashPrefix(location.hash)}</span>
+                      <span role="cell" className={`w-12 shrink-0 font-medium ${isNewest ? 'text-sky-400' : 'text-amber-400'}`}>
+                          {isNewest ? 'Newest' : 'Older'}
+                      </span>
+                  </div>
+              );
+          })}
+      </div>
+    </div>
+  );
+}
+
+export default memo(DivergedRow);
@@ -0,0 +1,190 @@
+import React, { memo } from 'react';
+import { ChevronDown, ChevronRight, Clock, Database, File, FileAudio, FileImage, FileVideo, ShieldAlert, ShieldCheck } from 'lucide-react';
+import CopyTable from './CopyTable';
+import { FAILURE_LABELS } from './failure';
+import { formatBytes, formatDate } from './format';
+import { volumePath } from './locations';
+import { describeCoverage, describeEvaluation, driveStatus } from './policy';
+import { highlightSegments } from './query';
+
+// Rows are a known height so the list can be windowed without measuring:
+// 52px plus a 4px gap, and an expanded row adds a 20px header and a 20px
+// line per copy.
+export const ROW_HEIGHT = 56;
+export const ROW_GAP = 4;
+const COPY_LINE_HEIGHT = 20;
+const EXPANDED_PADDING = 8;
+
+export const rowHeightFor = (file, isExpanded) => (
+  isExpanded ? ROW_HEIGHT + EXPANDED_PADDING + (file.locations.length + 1) * COPY_LINE_HEIGHT : ROW_HEIGHT
+);
+
+// DOM id for aria-activedescendant (folder row ids hold paths)
+export const rowDomId = (rowId) => `duplicate-row-${encodeURIComponent(rowId)}`;
+
+const getFileIcon = (type) => {
+  switch(type) {
+    case 'video': return <FileVideo size={20} className="text-purple-400" />;
+    case 'image': return <FileImage size={20} className="text-blue-400" />;
+    case 'audio': return <FileAudio size={20} className="text-pink-400" />;
+    case 'db': return <Database size={20} className="text-slate-400" />;
+    default: return <File size={20} className="text-gray-400" />;
+  }
+};
+
+const pillClassFor = (status) => {
+  switch (status) {
+    case 'unsafe': return 'bg-rose-500 shadow-[0_0_10px_rgba(244,63,94,0.5)] scale-y-110';
+    case 'safe': return 'bg-emerald-500 shadow-[0_0_10px_rgba(16,185,129,0.5)] scale-y-110';
+    case 'source-safe': return 'bg-slate-400 shadow-[0_0_10px_rgba(148,163,184,0.5)] scale-y-110';
+    default: return 'bg-orange-500 shadow-[0_0_10px_rgba(249,115,22,0.5)] scale-y-110';
+  }
+};
+
+// One duplicate group in the file list. Memoized: moving the highlight only
+// re-renders the row that gained it and the row that lost it.
+//
+// `isHighlighted` drives the pill colors (mouse hover or keyboard cursor);
+// `isActive` marks the keyboard cursor itself. `staleLocationIds` are copies
+// on drives not rescanned since the source copy last changed. A file listed
+// under an expanded folder row is `isNested` and has its own `rowId`.
+// `failureOutcome` is what a simulated drive failure would do to the file.
+// Expanded, it lists every copy (see CopyTable).
+function DuplicateRow({
+  rowId = null, isNested = false, file, evaluation, drivesById, queryTerms, staleLocationIds, failureOutcome = null,
+  keeperLocationId = null, isHighlighted, isActive, isSelected, isExpanded,
+  onHover, onActivate, onToggleSelected, onToggleExpanded, onSelectKeeper, onReveal = null,
+}) {
+  const staleCount = staleLocationIds.size;
+  const staleNote = staleCount > 0
+    ? `${staleCount} ${staleCount === 1 ? 'copy' : 'copies'} on drives not rescanned since the file last changed`
+    : null;
+
+  const id = rowId ?? file.id;
+
+  // The keeper's path if one was picked, otherwise the first copy's
+  const shownLocation = file.locations.find(location => location.id === keeperLocationId) ?? file.locations[0];
+  const shownPath = shownLocation ? volumePath(drivesById.get(shownLocation.driveId), shownLocation) : '';
+
+  return (
+    <div
+        id={rowDomId(id)}
+        role="option"
+        aria-selected={isSelected}
+        aria-expanded={isExpanded}
+        aria-label={[
+            file.name,
+            formatBytes(file.size),
+            describeCoverage(evaluation),
+            staleNote,
+            failureOutcome && `simulated failure: ${FAILURE_LABELS[failureOutcome].toLowerCase()}`,
+        ].filter(Boolean).join(', ')}
+        onMouseEnter={() => onHover(id)}
+        onMouseLeave={() => onHover(null)}
+        onClick={() => onActivate(id)}
+        style={{ height: rowHeightFor(file, isExpanded) - ROW_GAP }}
+        className={`
+            mb-1 rounded-md cursor-default transition-all duration-200 overflow-hidden
+            ${isHighlighted ? 'bg-blue-500/10 border border-blue-500/20 shadow-lg translate-x-0.5' : 'border border-transparent hover:bg-white/5'}
+            ${isActive ? 'ring-1 ring-blue-400/60' : ''}
+            ${isNested ? 'ml-6' : ''}
+        `}
+    >
+      <div className="group grid grid-cols-12 items-center h-[50px] px-4">
+        {/* Name & Icon */}
+        <div className="col-span-5 flex items-center gap-3 overflow-hidden">
+            <input
+                type="checkbox"
+                tabIndex={-1}
+                checked={isSelected}
+                onChange={() => onToggleSelected(file.id)}
+                aria-label={`Select ${file.name}`}
+                className="accent-blue-500 shrink-0"
+            />
+            <button
+                tabIndex={-1}
+                onClick={(e) => { e.stopPropagation(); onToggleExpanded(file.id); }}
+                aria-label={isExpanded ? 'Hide copies' : 'Show copies'}
+                className="-ml-1 flex items-center gap-1 p-1.5 rounded bg-slate-800 text-slate-300 border border-white/5 group-hover:bg-slate-700 group-hover:border-white/10 transition-colors"
+            >
+                {isExpanded ? <ChevronDown size={10} /> : <ChevronRight size={10} className="text-slate-500" />}
+                {getFileIcon(file.type)}
+            </button>
+            <div className="min-w-0">
+                <div className={`text-xs font-medium truncate transition-colors ${isHighlighted ? 'text-blue-200' : 'text-slate-300'}`}>
+                    {failureOutcome && (
+                        <span className={`mr-1.5 px-1 rounded text-[8px] font-semibold uppercase tracking-wider ${failureOutcome === 'lost' ? 'bg-rose-500/20 text-rose-300' : 'bg-orange-500/20 text-orange-300'}`}>
+                            {FAILURE_LABELS[failureOutcome]}
+                        </span>
+                    )}
+                    {highlightSegments(file.name, queryTerms).map((segment, i) => (
+                        segment.isMatch
+                            ? <mark key={i} className="bg-blue-500/30 text-blue-100 rounded-sm">{segment.text}</mark>
+                            : <React.Fragment key={i}>{segment.text}</React.Fragment>
+                    ))}
+                </div>
+                <div
+                    className={`text-[9px] text-slate-500 truncate group-hover:opacity-100 transition-opacity ${isActive || isExpanded ? 'opacity-100' : 'opacity-0'}`}
+                    title={shownPath}
+                >
+                    {shownPath}
+                    {file.locations.length > 1 && <span className="text-slate-600"> + {file.locations.length - 1} more</span>}
+                </div>
+            </div>
+        </div>
+
+        {/* Size */}
+        <div className="col-span-2 text-right pr-8 text-xs text-slate-400 font-mono">
+            {formatBytes(file.size)}
+        </div>
+
+        {/* Locations Pills */}
+        <div className="col-span-3 flex justify-center gap-1">
+            {file.locations.map((location) => {
+                const drive = drivesById.get(location.driveId);
+                const pillClass = isHighlighted ? pillClassFor(driveStatus(file, evaluation, drive)) : 'bg-slate-700';
+                const isStale = staleLocationIds.has(location.id);
+
+                return (
+                    <div
+                        key={location.id}
+                        className={`w-1.5 h-5 rounded-sm transition-all duration-300 ${pillClass} ${isStale ? 'opacity-40' : ''}`}
+                        title={`${drive?.name ?? location.driveId}: ${location.relativePath}${isStale ? ' (not rescanned since the file changed)' : ''}`}
+                    />
+                );
+            })}
+            <span className="ml-2 text-[10px] text-slate-600 font-medium self-center">{file.drives.length}</span>
+            <span className="ml-1 self-center" title={describeEvaluation(evaluation)}>
+                {evaluation.compliant
+                    ? <ShieldCheck size={12} className="text-slate-600" />
+                    : <ShieldAlert size={12} className="text-rose-400" />}
+            </span>
+            {staleNote && (
+                <span className="ml-1 self-center" title={staleNote}>
+                    <Clock size={12} className="text-amber-400" />
+                </span>
+            )}
+        </div>
+
+        {/* Date */}
+        <div className="col-span-2 text-right text-[10px] text-slate-500">
+            {formatDate(file.modifiedAt)}
+        </div>
+      </div>
+
+      {/* Copies */}
+      {isExpanded && (
+        <CopyTable
+            file={file}
+            drivesById={drivesById}
+            staleLocationIds={staleLocationIds}
+            keeperLocationId={keeperLocationId}
+            onSelectKeeper={onSelectKeeper}
+            onReveal={onReveal}
+        />
+      )}
+    </div>
+  );
+}
+
+export default memo(DuplicateRow);
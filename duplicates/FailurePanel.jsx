@@ -0,0 +1,79 @@
+import React from 'react';
+import { X, Zap } from 'lucide-react';
+import { formatBytes, plural } from './format';
+
+const describeEntry = (drive, entry) => (
+  `If ${drive.name} failed: ${plural(entry.lostFiles, 'file')} (${formatBytes(entry.lostBytes)}) lost, ` +
+  `${plural(entry.belowPolicyFiles, 'file')} (${formatBytes(entry.belowPolicyBytes)}) below policy`
+);
+
+// Single points of failure: every drive failing on its own, across the whole
+// catalog, worst first. Each row also toggles that drive in the simulation,
+// the same as the button on its card.
+export default function FailurePanel({ drivesById, ranking, failedDriveIds, totals, onToggleFailed, onClear }) {
+  return (
+    <div className="shrink-0 w-56 text-[9px] text-slate-500">
+      <div className="flex items-center justify-between mb-1 h-4">
+        <span className="font-semibold uppercase tracking-wider">Single Points of Failure</span>
+        {failedDriveIds.size > 0 && (
+          <button
+            onClick={onClear}
+            className="flex items-center gap-0.5 text-slate-400 hover:text-slate-200"
+            aria-label="Clear failure simulation"
+          >
+            <X size={10} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      <table className="w-full border-separate border-spacing-y-0.5">
+        <thead>
+          <tr className="text-slate-600">
+            <th className="text-left font-medium">Drive</th>
+            <th className="text-right font-medium" title="Files with no copy on any other drive">Only copy</th>
+            <th className="text-right font-medium" title="Files that would fall below their backup policy">Below policy</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {ranking.map(entry => {
+            const drive = drivesById.get(entry.driveId);
+            const isFailed = failedDriveIds.has(entry.driveId);
+
+            return (
+              <tr key={entry.driveId} title={describeEntry(drive, entry)}>
+                <th scope="row" className={`text-left font-medium max-w-[5rem] truncate ${isFailed ? 'text-rose-300' : 'text-slate-400'}`}>
+                  {drive.name}
+                </th>
+                <td className={`text-right font-mono ${entry.lostBytes > 0 ? 'text-rose-400' : 'text-slate-700'}`}>
+                  {entry.lostBytes > 0 ? formatBytes(entry.lostBytes) : '—'}
+                </td>
+                <td className={`text-right font-mono ${entry.belowPolicyBytes > 0 ? 'text-orange-400' : 'text-slate-700'}`}>
+                  {entry.belowPolicyBytes > 0 ? formatBytes(entry.belowPolicyBytes) : '—'}
+                </td>
+                <td className="pl-1 text-right">
+                  <button
+                    onClick={() => onToggleFailed(entry.driveId)}
+                    aria-pressed={isFailed}
+                    aria-label={`Simulate ${drive.name} failing`}
+                    className={`p-0.5 rounded focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-400/60 ${isFailed ? 'text-rose-400 bg-rose-500/10' : 'text-slate-600 hover:text-slate-300'}`}
+                  >
+                    <Zap size={10} />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {failedDriveIds.size > 0 && (
+        <p role="status" className="mt-1 text-slate-400">
+          Simulated: <span className="text-rose-400">{plural(totals.lostFiles, 'file')} lost ({formatBytes(totals.lostBytes)})</span>,{' '}
+          <span className="text-orange-400">{totals.belowPolicyFiles} below policy ({formatBytes(totals.belowPolicyBytes)})</span>
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { memo } from 'react';
+import { ChevronDown, ChevronRight, Folder } from 'lucide-react';
+import { formatBytes, formatDate } from './format';
+import { ROW_GAP, ROW_HEIGHT, rowDomId } from './DuplicateRow';
+
+const matchBarClass = (ratio) => (ratio >= 1 ? 'bg-emerald-500' : ratio >= 0.8 ? 'bg-blue-500' : 'bg-orange-500');
+
+// A set of folders holding the same files, one per drive or path, collapsed
+// to one row. Expanding it lists the shared files (`files`, already
+// filtered) beneath it.
+function FolderRow({ folder, files, drivesById, isHighlighted, isActive, isSelected, isExpanded, onHover, onActivate, onToggleExpanded, onToggleSelected }) {
+  const percent = Math.round(folder.matchRatio * 100);
+  const locations = folder.folders.map(f => `${drivesById.get(f.driveId)?.name ?? f.driveId}: ${f.path}`);
+
+  return (
+    <div
+        id={rowDomId(folder.id)}
+        role="option"
+        aria-selected={isSelected}
+        aria-expanded={isExpanded}
+        aria-label={`Folder ${folder.name}, ${percent}% match, ${formatBytes(folder.totalBytes)}, ${folder.matchedCount} matching files, in ${locations.join(', ')}`}
+        onMouseEnter={() => onHover(folder.id)}
+        onMouseLeave={() => onHover(null)}
+        onClick={() => onActivate(folder.id)}
+        style={{ height: ROW_HEIGHT - ROW_GAP }}
+        className={`
+            mb-1 rounded-md cursor-default transition-all duration-200 overflow-hidden
+            ${isHighlighted ? 'bg-blue-500/10 border border-blue-500/20 shadow-lg translate-x-0.5' : 'border border-white/5 bg-white/[0.02] hover:bg-white/5'}
+            ${isActive ? 'ring-1 ring-blue-400/60' : ''}
+        `}
+    >
+      <div className="grid grid-cols-12 items-center h-[50px] px-4">
+        {/* Name & Icon */}
+        <div className="col-span-5 flex items-center gap-3 overflow-hidden">
+            <input
+                type="checkbox"
+                tabIndex={-1}
+                checked={isSelected}
+                onChange={() => onToggleSelected(files)}
+                aria-label={`Select files in ${folder.name}`}
+                className="accent-blue-500 shrink-0"
+            />
+            <button
+                tabIndex={-1}
+                onClick={(e) => { e.stopPropagation(); onToggleExpanded(folder.id); }}
+                aria-label={isExpanded ? 'Collapse folder' : 'Expand folder'}
+                className="-ml-1 flex items-center gap-1 p-1.5 rounded bg-slate-800 text-sky-300 border border-white/5 hover:bg-slate-700"
+            >
+                {isExpanded ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+                <Folder size={16} />
+            </button>
+            <div className="min-w-0">
+                <div className={`text-xs font-medium truncate ${isHighlighted ? 'text-blue-200' : 'text-slate-300'}`}>
+                    {folder.name}
+                </div>
+                <div className="text-[9px] text-slate-500 truncate" title={locations.join('\n')}>
+                    {locations.join('  ·  ')}
+                </div>
+            </div>
+        </div>
+
+        {/* Size */}
+        <div className="col-span-2 text-right pr-8 text-xs text-slate-400 font-mono" title={`${formatBytes(folder.matchedBytes)} matched`}>
+            {formatBytes(folder.totalBytes)}
+        </div>
+
+        {/* Match */}
+        <div className="col-span-3 flex items-center justify-center gap-2">
+            <div className="w-16 h-1.5 rounded-full bg-slate-700 overflow-hidden">
+                <div className={`h-full ${matchBarClass(folder.matchRatio)}`} style={{ width: `${percent}%` }} />
+            </div>
+            <span className="text-[10px] text-slate-400 font-medium">{percent}%</span>
+            <span className="text-[9px] text-slate-600">
+                {files.length === folder.matchedCount ? `${files.length} files` : `${files.length} of ${folder.matchedCount} files`}
+            </span>
+        </div>
+
+        {/* Date */}
+        <div className="col-span-2 text-right text-[10px] text-slate-500">
+            {formatDate(folder.modifiedAt)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(FolderRow);
@@ -0,0 +1,89 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { formatBytes, plural } from './format';
+
+const describeCell = (a, b, cell) => (
+  a.id === b.id
+    ? `${plural(cell.count, 'file')} (${formatBytes(cell.bytes)}) only on ${a.name}`
+    : `${a.name} and ${b.name} share ${plural(cell.count, 'file')} (${formatBytes(cell.bytes)})`
+);
+
+// Heatmap of shared duplicate bytes between every pair of drives. Columns
+// are numbered to keep the panel narrow; the row labels carry the names.
+// Clicking a cell filters the list to that pair (the diagonal: files that
+// exist on no other drive).
+export default function OverlapMatrix({ drives, overlap, selectedPair, onSelectPair }) {
+  const isSelected = (a, b) => Boolean(selectedPair) && (
+    (selectedPair[0] === a.id && selectedPair[1] === b.id) || (selectedPair[0] === b.id && selectedPair[1] === a.id)
+  );
+
+  return (
+    <div className="shrink-0 text-[9px] text-slate-500">
+      <div className="flex items-center justify-between mb-1 h-4">
+        <span className="font-semibold uppercase tracking-wider">Shared Data</span>
+        {selectedPair && (
+          <button
+            onClick={() => onSelectPair(null)}
+            className="flex items-center gap-0.5 text-slate-400 hover:text-slate-200"
+            aria-label="Clear drive pair filter"
+          >
+            <X size={10} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      <table className="border-separate border-spacing-0.5">
+        <thead>
+          <tr>
+            <th />
+            {drives.map((drive, i) => (
+              <th key={drive.id} scope="col" title={drive.name} className="w-6 font-medium text-slate-500">{i + 1}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {drives.map((rowDrive, i) => (
+            <tr key={rowDrive.id}>
+              <th scope="row" title={rowDrive.name} className="pr-1 font-medium text-slate-400">
+                <span className="flex justify-end gap-1">
+                  <span className="max-w-[5rem] truncate">{rowDrive.name}</span>
+                  <span className="text-slate-600">{i + 1}</span>
+                </span>
+              </th>
+              {drives.map(columnDrive => {
+                const cell = overlap.cellFor(rowDrive.id, columnDrive.id);
+                const isDiagonal = rowDrive.id === columnDrive.id;
+                const intensity = overlap.maxBytes > 0 ? Math.sqrt(cell.bytes / overlap.maxBytes) : 0;
+                const rgb = isDiagonal ? '244,63,94' : '59,130,246';
+                const label = describeCell(rowDrive, columnDrive, cell);
+
+                return (
+                  <td key={columnDrive.id} className="p-0">
+                    <button
+                      onClick={() => onSelectPair(isSelected(rowDrive, columnDrive) ? null : [rowDrive.id, columnDrive.id])}
+                      disabled={cell.count === 0}
+                      aria-pressed={isSelected(rowDrive, columnDrive)}
+                      aria-label={label}
+                      title={label}
+                      style={cell.count > 0 ? { backgroundColor: `rgba(${rgb},${0.12 + intensity * 0.6})` } : undefined}
+                      className={`
+                        w-6 h-5 rounded-sm font-mono text-[9px] transition-colors
+                        focus:outline-none focus-visible:ring-1 focus-visible:ring-blue-400/60
+                        ${cell.count > 0 ? 'text-slate-100 hover:ring-1 hover:ring-white/30' : 'bg-slate-800/40 text-slate-700'}
+                        ${isSelected(rowDrive, columnDrive) ? 'ring-1 ring-white/70' : ''}
+                      `}
+                    >
+                      {cell.count > 0 ? cell.count : isDiagonal ? '' : '·'}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-1 text-right">Diagonal: files on no other drive</p>
+    </div>
+  );
+}
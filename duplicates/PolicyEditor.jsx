@@ -0,0 +1,115 @@
+import React from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { MAX_RULE_COUNT, addRule, parseMatchList, removeRule, updateRule } from './policy';
+
+// Popover for editing the backup policy rules. Rules are checked top to
+// bottom; the last one is the catch-all and can't be removed or narrowed.
+export default function PolicyEditor({ policy, onChange, onClose }) {
+  const lastIndex = policy.rules.length - 1;
+
+  const setRule = (ruleId, changes) => onChange(updateRule(policy, ruleId, changes));
+
+  const setCount = (ruleId, field, value) => {
+    const count = Number.parseInt(value, 10);
+    setRule(ruleId, { [field]: Number.isFinite(count) ? Math.max(0, Math.min(count, MAX_RULE_COUNT)) : 0 });
+  };
+
+  const toggleOffsite = (rule) => {
+    const requiredTags = rule.requiredTags.includes('offsite')
+      ? rule.requiredTags.filter(tag => tag !== 'offsite')
+      : [...rule.requiredTags, 'offsite'];
+    setRule(rule.id, { requiredTags });
+  };
+
+  return (
+    <>
+      {/* Click-away layer */}
+      <div className="fixed inset-0 z-30" onClick={onClose} />
+
+      <div className="absolute right-0 top-full mt-2 w-[30rem] z-40 bg-slate-800 border border-white/10 rounded-lg shadow-2xl p-3 text-xs text-slate-300">
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <h3 className="text-xs font-semibold text-white">Backup Policy</h3>
+            <p className="text-[10px] text-slate-500">Each file uses the first rule that applies to it.</p>
+          </div>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300" aria-label="Close policy editor">
+            <X size={14} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-12 gap-2 px-1 pb-1 text-[9px] font-semibold text-slate-500 uppercase tracking-wider">
+          <div className="col-span-3">Rule</div>
+          <div className="col-span-3">Applies To</div>
+          <div className="col-span-2 text-center">Copies</div>
+          <div className="col-span-2 text-center">Backups</div>
+          <div className="col-span-2 text-center">Offsite</div>
+        </div>
+
+        {policy.rules.map((rule, i) => (
+          <div key={rule.id} className="grid grid-cols-12 gap-2 items-center px-1 py-1 rounded hover:bg-white/5">
+            <input
+              value={rule.label}
+              onChange={(e) => setRule(rule.id, { label: e.target.value })}
+              className="col-span-3 bg-slate-900/50 border border-white/10 rounded px-1.5 py-1 text-[11px] focus:outline-none focus:border-blue-500/40"
+            />
+            {i === lastIndex ? (
+              <div className="col-span-3 text-[10px] text-slate-500 px-1.5">Everything else</div>
+            ) : (
+              <input
+                defaultValue={rule.match.join(', ')}
+                onBlur={(e) => setRule(rule.id, { match: parseMatchList(e.target.value) })}
+                placeholder="dng, cr2, video"
+                title="File types (video, image, audio, db, zip, doc) or extensions, comma separated"
+                className="col-span-3 bg-slate-900/50 border border-white/10 rounded px-1.5 py-1 text-[11px] font-mono focus:outline-none focus:border-blue-500/40 placeholder-slate-600"
+              />
+            )}
+            <input
+              type="number"
+              min="0"
+              max={MAX_RULE_COUNT}
+              value={rule.minCopies}
+              onChange={(e) => setCount(rule.id, 'minCopies', e.target.value)}
+              aria-label={`${rule.label}: minimum drives`}
+              className="col-span-2 bg-slate-900/50 border border-white/10 rounded px-1.5 py-1 text-[11px] text-center focus:outline-none focus:border-blue-500/40"
+            />
+            <input
+              type="number"
+              min="0"
+              max={MAX_RULE_COUNT}
+              value={rule.minBackupCopies}
+              onChange={(e) => setCount(rule.id, 'minBackupCopies', e.target.value)}
+              aria-label={`${rule.label}: minimum backup drives`}
+              className="col-span-2 bg-slate-900/50 border border-white/10 rounded px-1.5 py-1 text-[11px] text-center focus:outline-none focus:border-blue-500/40"
+            />
+            <div className="col-span-2 flex items-center justify-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.requiredTags.includes('offsite')}
+                onChange={() => toggleOffsite(rule)}
+                aria-label={`${rule.label}: require an offsite copy`}
+                className="accent-emerald-500"
+              />
+              {i !== lastIndex && (
+                <button
+                  onClick={() => onChange(removeRule(policy, rule.id))}
+                  className="text-slate-600 hover:text-orange-400"
+                  aria-label={`Remove ${rule.label}`}
+                >
+                  <Trash2 size={12} />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={() => onChange(addRule(policy))}
+          className="mt-2 flex items-center gap-1.5 text-[11px] text-slate-400 hover:text-slate-200"
+        >
+          <Plus size={12} />
+          Add Rule
+        </button>
+      </div>
+    </>
+  );
+}
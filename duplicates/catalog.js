@@ -0,0 +1,254 @@
+// Data layer for the duplicates view.
+//
+// Reads the same `drives`, `files` and `settings` tables DatabaseManager.swift
+// creates, and groups files by content hash the way getDuplicateGroups() does.
+// Everything below takes a sql.js Database (or anything with the same
+// `exec(sql, params)` shape), so it runs in the browser and under Node alike.
+
+import initSqlJs from 'sql.js';
+import { divergedCopySets, newestHash } from './divergence';
+import { buildFolderGroups, candidateFolders, findFolderCandidates, folderKey, parentPath } from './folders';
+import { fileType } from './format';
+
+// Matches the fallback in getDuplicateGroups() when the setting is missing
+export const DEFAULT_MIN_DUPLICATE_FILE_SIZE = 5242880; // 5MB
+
+export const FIXTURE_CATALOG_URL = new URL('./fixtures/catalog.sqlite', import.meta.url).href;
+
+const DRIVES_SQL = `
+  SELECT uuid, name, last_seen, total_capacity, used_capacity, last_scan_date, file_count, is_excluded
+  FROM drives
+  ORDER BY name COLLATE NOCASE
+`;
+
+// One pass instead of getDuplicateFilesByHash() per group: pull every copy of
+// every hash that appears more than once, already ordered for grouping.
+const DUPLICATE_FILES_SQL = `
+  SELECT f.id, f.hash, f.name, f.size, f.drive_uuid, f.relative_path, f.modified_at
+  FROM files f
+  JOIN drives d ON d.uuid = f.drive_uuid
+  WHERE f.is_directory = 0 AND f.hash IN (
+    SELECT hash
+    FROM files
+    WHERE is_directory = 0 AND size >= ? AND hash IS NOT NULL
+    GROUP BY hash
+    HAVING COUNT(*) > 1
+  )
+  ORDER BY f.hash, d.name, f.relative_path
+`;
+
+// Files sharing a name across drives but not their content, newest first.
+// This only narrows the candidates; divergedCopySets() decides which copies
+// belong together, by path or folder.
+const DIVERGED_FILES_SQL = `
+  SELECT f.id, f.hash, f.name, f.size, f.drive_uuid, f.relative_path, f.modified_at
+  FROM files f
+  JOIN drives d ON d.uuid = f.drive_uuid
+  WHERE f.is_directory = 0 AND f.size >= ? AND f.hash IS NOT NULL AND f.name IN (
+    SELECT name
+    FROM files
+    WHERE is_directory = 0 AND size >= ? AND hash IS NOT NULL
+    GROUP BY name
+    HAVING COUNT(DISTINCT hash) > 1 AND COUNT(DISTINCT modified_at) > 1 AND COUNT(DISTINCT drive_uuid) > 1
+  )
+  ORDER BY f.name, f.modified_at DESC, d.name
+`;
+
+// Bytes per directory, counting only files big enough to be a duplicate
+// (hashed or not); getFolderTotals() rolls them up into the folders that
+// need them. rtrim() by every character but '/' leaves the directory with
+// its trailing slash, or '' at the drive root.
+const DIRECTORY_TOTALS_SQL = `
+  SELECT drive_uuid, rtrim(relative_path, replace(relative_path, '/', '')) AS directory,
+    COUNT(*) AS file_count, SUM(size) AS bytes
+  FROM files
+  WHERE is_directory = 0 AND size >= ?
+  GROUP BY drive_uuid, directory
+`;
+
+// Files only one drive holds that aren't already in a duplicate group: a
+// hash found once, or an unhashed file whose path no other drive has. They
+// never show in the list, but they're lost all the same if that drive fails.
+const SINGLE_COPY_TOTALS_SQL = `
+  SELECT drive_uuid, COUNT(*) AS file_count, SUM(size) AS bytes
+  FROM files
+  WHERE is_directory = 0 AND size >= ? AND (
+    hash IN (
+      SELECT hash
+      FROM files
+      WHERE is_directory = 0 AND hash IS NOT NULL
+      GROUP BY hash
+      HAVING COUNT(*) = 1
+    ) OR (hash IS NULL AND relative_path IN (
+      SELECT relative_path
+      FROM files
+      WHERE is_directory = 0
+      GROUP BY relative_path
+      HAVING COUNT(DISTINCT drive_uuid) = 1
+    ))
+  )
+  GROUP BY drive_uuid
+`;
+
+const query = (db, sql, params = []) => {
+  const [result] = db.exec(sql, params);
+  if (!result) return [];
+  return result.values.map(values =>
+    Object.fromEntries(result.columns.map((column, i) => [column, values[i]]))
+  );
+};
+
+export const getSetting = (db, key) => {
+  const [row] = query(db, 'SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? row.value : null;
+};
+
+export const getMinDuplicateFileSize = (db) => {
+  const value = Number.parseInt(getSetting(db, 'min_duplicate_file_size'), 10);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_DUPLICATE_FILE_SIZE;
+};
+
+export const getDrives = (db) => query(db, DRIVES_SQL).map(row => ({
+  id: row.uuid,
+  name: row.name,
+  size: row.total_capacity,
+  used: row.used_capacity,
+  lastSeen: row.last_seen,
+  lastScanDate: row.last_scan_date,
+  fileCount: row.file_count,
+  isExcluded: Boolean(row.is_excluded),
+  isBackup: false,
+  tags: [],
+  type: null, // Medium (NVMe, SSD, ...) isn't in the catalog; set by hand for cleanup plans
+}));
+
+export const getDuplicateGroups = (db, minSize = getMinDuplicateFileSize(db)) => {
+  const groups = [];
+  let current = null;
+
+  for (const row of query(db, DUPLICATE_FILES_SQL, [minSize])) {
+    if (!current || current.hash !== row.hash) {
+      current = {
+        id: row.hash,
+        hash: row.hash,
+        name: row.name,
+        size: row.size,
+        type: fileType(row.name),
+        drives: [],
+        locations: [],
+        modifiedAt: null,
+      };
+      groups.push(current);
+    }
+
+    current.drives.push(row.drive_uuid);
+    current.locations.push({
+      id: row.id,
+      driveId: row.drive_uuid,
+      relativePath: row.relative_path,
+      modifiedAt: row.modified_at,
+    });
+
+    // Use the most recent modified date, like DuplicatesView.loadFiles()
+    if (row.modified_at != null && (current.modifiedAt == null || row.modified_at > current.modifiedAt)) {
+      current.modifiedAt = row.modified_at;
+    }
+  }
+
+  // Same ordering as getDuplicateGroups(): most copies first, then largest
+  return groups.sort((a, b) => b.locations.length - a.locations.length || b.size - a.size);
+};
+
+// Same shape as a duplicate group, plus each copy's size and hash. `hash` is
+// the newest version's, so copies matching it are up to date.
+export const getDivergedGroups = (db, minSize = getMinDuplicateFileSize(db)) => {
+  const copiesByName = new Map();
+
+  for (const row of query(db, DIVERGED_FILES_SQL, [minSize, minSize])) {
+    if (!copiesByName.has(row.name)) copiesByName.set(row.name, []);
+    copiesByName.get(row.name).push({
+      id: row.id,
+      driveId: row.drive_uuid,
+      relativePath: row.relative_path,
+      modifiedAt: row.modified_at,
+      size: row.size,
+      hash: row.hash,
+    });
+  }
+
+  const groups = [];
+  for (const [name, copies] of copiesByName) {
+    for (const { key, copies: locations } of divergedCopySets(name, copies)) {
+      // Copies come newest first
+      groups.push({
+        id: `diverged:${key}`,
+        hash: newestHash(locations),
+        name,
+        size: locations[0].size,
+        type: fileType(name),
+        drives: locations.map(location => location.driveId),
+        locations,
+        modifiedAt: locations[0].modifiedAt,
+        versionCount: new Set(locations.map(location => location.hash)).size,
+      });
+    }
+  }
+  return groups;
+};
+
+// folderKey -> { bytes, fileCount } for each { driveId, path }, from one
+// grouped query however many folders there are
+export const getFolderTotals = (db, folders, minSize = getMinDuplicateFileSize(db)) => {
+  const totals = new Map(folders.map(folder => [folderKey(folder.driveId, folder.path), { bytes: 0, fileCount: 0 }]));
+  if (totals.size === 0) return totals;
+
+  for (const row of query(db, DIRECTORY_TOTALS_SQL, [minSize])) {
+    for (let path = row.directory.slice(0, -1); path; path = parentPath(path)) {
+      const total = totals.get(folderKey(row.drive_uuid, path));
+      if (total) {
+        total.bytes += row.bytes;
+        total.fileCount += row.file_count;
+      }
+    }
+  }
+  return totals;
+};
+
+// drive id -> { fileCount, bytes } of the files found on that drive alone
+export const getSingleCopyTotals = (db, minSize = getMinDuplicateFileSize(db)) => new Map(
+  query(db, SINGLE_COPY_TOTALS_SQL, [minSize]).map(row => [row.drive_uuid, { fileCount: row.file_count, bytes: row.bytes }])
+);
+
+export const getDuplicateFolders = (db, duplicates, minSize = getMinDuplicateFileSize(db)) => {
+  const candidates = findFolderCandidates(duplicates);
+  return buildFolderGroups(candidates, getFolderTotals(db, candidateFolders(candidates), minSize));
+};
+
+export const readCatalog = (db) => {
+  const minSize = getMinDuplicateFileSize(db);
+  const duplicates = getDuplicateGroups(db, minSize);
+
+  return {
+    drives: getDrives(db),
+    duplicates,
+    folders: getDuplicateFolders(db, duplicates, minSize),
+    diverged: getDivergedGroups(db, minSize),
+    singleCopyTotals: getSingleCopyTotals(db, minSize),
+  };
+};
+
+// Fetch a catalog file and read it. `sqlJsConfig` is passed through to
+// initSqlJs (e.g. `locateFile` for where the wasm binary is served from).
+export const openCatalog = async (url = FIXTURE_CATALOG_URL, sqlJsConfig) => {
+  const [SQL, response] = await Promise.all([initSqlJs(sqlJsConfig), fetch(url)]);
+  if (!response.ok) {
+    throw new Error(`Couldn't load catalog from ${url} (${response.status})`);
+  }
+
+  const db = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+  try {
+    return readCatalog(db);
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,181 @@
+import { readFileSync } from 'fs';
+import initSqlJs from 'sql.js';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { DEFAULT_MIN_DUPLICATE_FILE_SIZE, getDivergedGroups, getDrives, getDuplicateFolders, getDuplicateGroups, getFolderTotals, getMinDuplicateFileSize, getSingleCopyTotals, readCatalog } from './catalog';
+import { folderKey } from './folders';
+
+// The fixture is the catalog DatabaseManager.swift would write; see
+// fixtures/catalog.sql for what's in it
+const FIXTURE_PATH = new URL('./fixtures/catalog.sqlite', import.meta.url);
+
+let db;
+
+beforeAll(async () => {
+  const SQL = await initSqlJs();
+  db = new SQL.Database(readFileSync(FIXTURE_PATH));
+});
+
+afterAll(() => db.close());
+
+const rows = (sql) => {
+  const [result] = db.exec(sql);
+  return result ? result.values : [];
+};
+
+describe('getMinDuplicateFileSize', () => {
+  it('reads the setting', () => {
+    expect(getMinDuplicateFileSize(db)).toBe(1000000);
+  });
+
+  it('falls back like getDuplicateGroups() when the setting is missing', () => {
+    const empty = { exec: () => [] };
+    expect(getMinDuplicateFileSize(empty)).toBe(DEFAULT_MIN_DUPLICATE_FILE_SIZE);
+  });
+});
+
+describe('getDrives', () => {
+  it('reads every drive, unlabelled', () => {
+    const drives = getDrives(db);
+    expect(drives).toHaveLength(6);
+    expect(drives.map(drive => drive.name)).toEqual([...drives.map(drive => drive.name)].sort((a, b) => a.localeCompare(b)));
+    for (const drive of drives) {
+      expect(drive).toMatchObject({ isBackup: false, tags: [], type: null });
+    }
+  });
+});
+
+describe('getDuplicateGroups', () => {
+  let groups;
+
+  beforeAll(() => {
+    groups = getDuplicateGroups(db);
+  });
+
+  it('has one group per hash found more than once, like getDuplicateGroups()', () => {
+    const expected = rows(`
+      SELECT hash, COUNT(*) FROM files
+      WHERE is_directory = 0 AND size >= 1000000 AND hash IS NOT NULL
+      GROUP BY hash HAVING COUNT(*) > 1
+    `);
+    expect(new Map(groups.map(group => [group.hash, group.locations.length]))).toEqual(new Map(expected));
+  });
+
+  it('leaves out directories, unhashed files and files under the minimum size', () => {
+    const names = new Set(groups.map(group => group.name));
+    expect(names.has('Titan')).toBe(false); // Directory
+    expect(names.has('Titan_Edit_v12.prproj')).toBe(false); // Not hashed yet
+    expect(names.has('thumb_0001.jpg')).toBe(false); // 48 KB
+    expect(names.has('Wedding_Selects.zip')).toBe(false); // Only one copy
+  });
+
+  it('keeps every copy, including two on one drive', () => {
+    const interview = groups.find(group => group.name === 'Interview_A_Cam.mp4');
+    expect(interview.locations).toHaveLength(3);
+    expect(new Set(interview.drives).size).toBe(2);
+  });
+
+  it('orders by copy count, then size', () => {
+    for (let i = 1; i < groups.length; i += 1) {
+      const [a, b] = [groups[i - 1], groups[i]];
+      expect(a.locations.length > b.locations.length || (a.locations.length === b.locations.length && a.size >= b.size)).toBe(true);
+    }
+    expect(groups[0].name).toBe('Backup_Catalog.db');
+  });
+
+  it('dates each group by its most recent copy', () => {
+    for (const group of groups) {
+      expect(group.modifiedAt).toBe(Math.max(...group.locations.map(location => location.modifiedAt)));
+    }
+  });
+
+  it('lowers the threshold when asked', () => {
+    expect(getDuplicateGroups(db, 0).some(group => group.name === 'thumb_0001.jpg')).toBe(true);
+  });
+});
+
+describe('getFolderTotals', () => {
+  it('sums everything big enough under each folder, nested files included', () => {
+    const [titan] = rows("SELECT drive_uuid FROM files WHERE relative_path = 'Titan'");
+    const folders = [{ driveId: titan[0], path: 'Titan' }, { driveId: titan[0], path: 'Titan/Footage' }, { driveId: titan[0], path: 'Nowhere' }];
+    const expected = (path) => {
+      const [[fileCount, bytes]] = rows(`
+        SELECT COUNT(*), COALESCE(SUM(size), 0) FROM files
+        WHERE drive_uuid = '${titan[0]}' AND relative_path LIKE '${path}/%' AND is_directory = 0 AND size >= 1000000
+      `);
+      return { fileCount, bytes };
+    };
+
+    const totals = getFolderTotals(db, folders);
+    for (const folder of folders) {
+      expect(totals.get(folderKey(folder.driveId, folder.path))).toEqual(expected(folder.path));
+    }
+    expect(totals.get(folderKey(titan[0], 'Titan')).fileCount).toBe(5);
+  });
+});
+
+describe('getDuplicateFolders', () => {
+  it('finds the folders copied between drives', () => {
+    const folders = getDuplicateFolders(db, getDuplicateGroups(db));
+    expect(folders.map(folder => [folder.name, Math.round(folder.matchRatio * 100)])).toEqual([
+      ['Titan', 69],
+      ['Photos', 100],
+    ]);
+  });
+});
+
+describe('getDivergedGroups', () => {
+  it('pairs copies by folder, leaving the one elsewhere out', () => {
+    const groups = getDivergedGroups(db);
+    expect(groups.map(group => [group.id, group.locations.map(location => location.relativePath)])).toEqual([
+      ['diverged:folder:Grading/Color_Grade_LUT.cube', ['Titan/Grading/Color_Grade_LUT.cube', 'Projects/2024/Titan/Grading/Color_Grade_LUT.cube']],
+      ['diverged:folder:Finance/Titan_Budget.xlsx', ['Users/admin/Documents/Finance/Titan_Budget.xlsx', 'Finance/Titan_Budget.xlsx']],
+    ]);
+  });
+
+  it('dates each group by its newest copy and takes its hash', () => {
+    for (const group of getDivergedGroups(db)) {
+      expect(group.modifiedAt).toBe(Math.max(...group.locations.map(location => location.modifiedAt)));
+      expect(group.hash).toBe(group.locations[0].hash);
+      expect(group.versionCount).toBe(2);
+    }
+  });
+});
+
+describe('getSingleCopyTotals', () => {
+  it('totals the files each drive alone holds, outside any duplicate group', () => {
+    const files = rows('SELECT drive_uuid, hash, relative_path, size FROM files WHERE is_directory = 0')
+      .map(([driveId, hash, path, size]) => ({ driveId, hash, path, size }));
+    const isSingle = (f) => (f.hash
+      ? files.filter(other => other.hash === f.hash).length === 1
+      : !files.some(other => other.path === f.path && other.driveId !== f.driveId));
+
+    const expected = new Map();
+    for (const f of files.filter(f => f.size >= 1000000 && isSingle(f))) {
+      const total = expected.get(f.driveId) ?? { fileCount: 0, bytes: 0 };
+      total.fileCount += 1;
+      total.bytes += f.size;
+      expected.set(f.driveId, total);
+    }
+
+    expect(getSingleCopyTotals(db)).toEqual(expected);
+  });
+
+  it('counts a file found once and an unhashed file no other drive has at its path', () => {
+    const idByName = new Map(getDrives(db).map(drive => [drive.name, drive.id]));
+    const totals = getSingleCopyTotals(db);
+    expect(totals.get(idByName.get('LaCie Rugged'))).toEqual({ fileCount: 1, bytes: 2300000000 }); // Wedding_Selects.zip
+    expect(totals.get(idByName.get('Samsung T7'))).toEqual({ fileCount: 1, bytes: 180000000 }); // Titan_Edit_v12.prproj
+    expect(totals.has(idByName.get('SanDisk Extreme'))).toBe(false);
+  });
+});
+
+describe('readCatalog', () => {
+  it('reads drives, duplicates, folders and diverged files in one go', () => {
+    const catalog = readCatalog(db);
+    expect(catalog.drives).toHaveLength(6);
+    expect(catalog.duplicates).toEqual(getDuplicateGroups(db));
+    expect(catalog.folders.length).toBeGreaterThan(0);
+    expect(catalog.diverged.length).toBeGreaterThan(0);
+    expect(catalog.singleCopyTotals).toEqual(getSingleCopyTotals(db));
+  });
+});
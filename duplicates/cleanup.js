@@ -0,0 +1,189 @@
+// Cleanup plans for redundant source copies.
+//
+// A plan is only ever a description: which copy of each file to keep, which
+// copies could go, and which removals were refused because they'd leave the
+// file below its backup policy. Nothing here touches the filesystem; the
+// plan leaves the app as a dry-run shell script or JSON for someone to
+// review and run by hand.
+
+import { volumePath } from './locations';
+import { evaluateFile } from './policy';
+
+// Rough speed ranking for "fastest drive". The catalog doesn't record the
+// medium, so drives carry a user-set `type`; unset drives rank slowest.
+export const DRIVE_TYPES = [
+  { id: 'nvme', label: 'NVMe', speed: 5 },
+  { id: 'ssd', label: 'SSD', speed: 4 },
+  { id: 'raid', label: 'RAID', speed: 3 },
+  { id: 'hdd', label: 'HDD', speed: 2 },
+  { id: 'sd', label: 'SD Card', speed: 1 },
+];
+
+export const driveSpeed = (drive) => DRIVE_TYPES.find(type => type.id === drive?.type)?.speed ?? 0;
+
+// Each strategy orders candidate keepers best-first
+export const KEEPER_STRATEGIES = [
+  { id: 'newest-fastest', label: 'Newest copy on the fastest drive' },
+  { id: 'fastest', label: 'Copy on the fastest drive' },
+  { id: 'oldest', label: 'Oldest copy' },
+  { id: 'shortest-path', label: 'Copy with the shortest path' },
+];
+
+const compareKeepers = (strategy, drivesById) => (a, b) => {
+  const speed = driveSpeed(drivesById.get(b.driveId)) - driveSpeed(drivesById.get(a.driveId));
+  const newest = (b.modifiedAt ?? 0) - (a.modifiedAt ?? 0);
+  const path = a.relativePath.length - b.relativePath.length || a.relativePath.localeCompare(b.relativePath);
+
+  switch (strategy) {
+    case 'fastest': return speed || newest || path;
+    case 'oldest': return -newest || speed || path;
+    case 'shortest-path': return path || speed;
+    default: return newest || speed || path;
+  }
+};
+
+// The copy to keep: an explicit choice wins, otherwise the best source copy
+// by strategy. Only source copies can be kept this way; backups are kept
+// regardless, and keeping one would leave every source copy to be removed.
+// Returns null when every copy already sits on a backup drive.
+export const chooseKeeper = (file, drivesById, strategy, keeperId) => {
+  const sourceCopies = file.locations.filter(location => !drivesById.get(location.driveId)?.isBackup);
+  const explicit = sourceCopies.find(location => location.id === keeperId);
+  if (explicit) return explicit;
+
+  return [...sourceCopies].sort(compareKeepers(strategy, drivesById))[0] ?? null;
+};
+
+const withoutLocations = (file, removedIds) => {
+  const locations = file.locations.filter(location => !removedIds.has(location.id));
+  return { ...file, locations, drives: locations.map(location => location.driveId) };
+};
+
+// Builds the plan for `files`. `keepers` maps file id -> location id for rows
+// where the user picked the keeper by hand.
+export const buildCleanupPlan = ({ files, drives, policy, strategy = 'newest-fastest', keepers = new Map(), createdAt = new Date() }) => {
+  const drivesById = new Map(drives.map(drive => [drive.id, drive]));
+  const steps = [];
+  const kept = [];
+
+  for (const file of files) {
+    const keeper = chooseKeeper(file, drivesById, strategy, keepers.get(file.id));
+    if (!keeper) continue;
+
+    kept.push({ fileId: file.id, locationId: keeper.id });
+
+    // Only source copies are candidates; backups are never planned away.
+    // Slowest drives go first so refusals land on the copies worth keeping.
+    const candidates = file.locations
+      .filter(location => location.id !== keeper.id && !drivesById.get(location.driveId)?.isBackup)
+      .sort((a, b) => driveSpeed(drivesById.get(a.driveId)) - driveSpeed(drivesById.get(b.driveId)));
+
+    const alreadyBelow = !evaluateFile(file, drivesById, policy).compliant;
+    const removed = new Set();
+
+    for (const location of candidates) {
+      let refusal = null;
+
+      if (alreadyBelow) {
+        refusal = 'File is already below its backup policy';
+      } else {
+        removed.add(location.id);
+        const after = evaluateFile(withoutLocations(file, removed), drivesById, policy);
+        if (!after.compliant) {
+          removed.delete(location.id);
+          refusal = `Would leave it ${after.violations.map(v => v.message).join('; ')}`;
+        }
+      }
+
+      const drive = drivesById.get(location.driveId);
+      steps.push({
+        fileId: file.id,
+        fileName: file.name,
+        hash: file.hash,
+        locationId: location.id,
+        driveId: location.driveId,
+        driveName: drive?.name ?? location.driveId,
+        relativePath: location.relativePath,
+        path: volumePath(drive, location),
+        size: file.size,
+        action: refusal ? 'refused' : 'remove',
+        reason: refusal,
+      });
+    }
+  }
+
+  const removals = steps.filter(step => step.action === 'remove');
+
+  return {
+    createdAt: createdAt.toISOString(),
+    strategy,
+    fileCount: files.length,
+    keepers: kept,
+    steps,
+    totals: {
+      removeCount: removals.length,
+      refusedCount: steps.length - removals.length,
+      reclaimedBytes: removals.reduce((sum, step) => sum + step.size, 0),
+    },
+  };
+};
+
+// --- Export ---
+
+export const planToJson = (plan) => `${JSON.stringify(plan, null, 2)}\n`;
+
+// Single-quote for POSIX sh: close, escape the quote, reopen
+const shellQuote = (text) => `'${text.replace(/'/g, `'\\''`)}'`;
+
+// Keeps odd filenames from breaking out of a comment line
+const comment = (text) => `# ${text.replace(/[\r\n]+/g, ' ')}`;
+
+// Dry run unless DRY_RUN=0 is set explicitly. Each removal re-checks that the
+// file is still there with the planned size, so a stale plan skips rather
+// than deleting something that has changed since the catalog was read.
+export const planToShellScript = (plan) => {
+  const lines = [
+    '#!/bin/sh',
+    '# DriveIndex cleanup plan',
+    `# Generated ${plan.createdAt}`,
+    `# ${plan.totals.removeCount} copies, ${plan.totals.reclaimedBytes} bytes; ${plan.totals.refusedCount} refused`,
+    '#',
+    '# Prints what it would do. Run with DRY_RUN=0 to actually remove files.',
+    '',
+    'set -u',
+    'DRY_RUN="${DRY_RUN:-1}"',
+    '',
+    'remove_copy() {',
+    '  if [ ! -f "$1" ]; then',
+    '    echo "skip (missing or drive not mounted): $1"',
+    '    return',
+    '  fi',
+    '  size=$(wc -c < "$1" | tr -d " ")',
+    '  if [ "$size" != "$2" ]; then',
+    '    echo "skip (size changed, expected $2 got $size): $1"',
+    '    return',
+    '  fi',
+    '  if [ "$DRY_RUN" = "0" ]; then',
+    '    rm -- "$1" && echo "removed: $1"',
+    '  else',
+    '    echo "would remove: $1"',
+    '  fi',
+    '}',
+    '',
+  ];
+
+  let currentFile = null;
+  for (const step of plan.steps) {
+    if (step.fileId !== currentFile) {
+      currentFile = step.fileId;
+      lines.push(comment(`${step.fileName} (${step.hash})`));
+    }
+    if (step.action === 'remove') {
+      lines.push(`remove_copy ${shellQuote(step.path)} ${step.size}`);
+    } else {
+      lines.push(comment(`refused: ${step.path} (${step.reason})`));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { buildCleanupPlan, chooseKeeper, planToShellScript } from './cleanup';
+import { drive, drives } from './fixtures/drives';
+import { volumePath } from './locations';
+import { DEFAULT_POLICY, DEFAULT_RULE, createRule } from './policy';
+
+const createdAt = new Date('2024-06-01T12:00:00Z');
+
+// `copies` are `[id, driveId, relativePath?, modifiedAt?]`
+const file = (id, copies, size = 100) => {
+  const locations = copies.map(([locationId, driveId, relativePath = `Projects/${id}.mov`, modifiedAt = 1700000000]) => (
+    { id: locationId, driveId, relativePath, modifiedAt }
+  ));
+  return { id, name: `${id}.mov`, hash: `hash-${id}`, size, drives: locations.map(l => l.driveId), locations };
+};
+
+const plan = (files, options = {}) => buildCleanupPlan({ files, drives, policy: DEFAULT_POLICY, createdAt, ...options });
+
+const actions = (result) => result.steps.map(step => [step.locationId, step.action]);
+
+describe('buildCleanupPlan', () => {
+  it('removes extra source copies once a backup covers the file', () => {
+    const result = plan([file('a', [['a-mac', 'mac'], ['a-t7', 't7'], ['a-raid', 'raid']])]);
+    expect(result.keepers).toHaveLength(1);
+    expect(actions(result)).toHaveLength(1);
+    expect(result.steps[0].action).toBe('remove');
+    expect(result.totals).toEqual({ removeCount: 1, refusedCount: 0, reclaimedBytes: 100 });
+  });
+
+  it('refuses every removal when the file is already below policy', () => {
+    const result = plan([file('a', [['a-mac', 'mac'], ['a-t7', 't7']])]);
+    expect(result.steps).toMatchObject([{ action: 'refused', reason: 'File is already below its backup policy' }]);
+    expect(result.totals).toEqual({ removeCount: 0, refusedCount: 1, reclaimedBytes: 0 });
+  });
+
+  it('refuses a removal that would drop the file below policy', () => {
+    const policy = { rules: [createRule({ minCopies: 3, minBackupCopies: 1, match: ['mov'] }), DEFAULT_RULE] };
+    const result = plan([file('a', [['a-mac', 'mac'], ['a-t7', 't7'], ['a-raid', 'raid']])], { policy });
+    expect(result.steps).toMatchObject([{ action: 'refused', reason: 'Would leave it on 2 drives, needs 3' }]);
+  });
+
+  it('removes a second copy on the same drive', () => {
+    const policy = { rules: [createRule({ minCopies: 3, minBackupCopies: 1, match: ['mov'] }), DEFAULT_RULE] };
+    const f = file('a', [['a-mac', 'mac'], ['a-mac-2', 'mac', 'Old/a.mov'], ['a-t7', 't7'], ['a-raid', 'raid']]);
+    const result = plan([f], { policy, keepers: new Map([['a', 'a-t7']]) });
+    // Either mac copy can go, but not both
+    expect(actions(result)).toEqual([['a-mac', 'remove'], ['a-mac-2', 'refused']]);
+  });
+
+  it('never plans a backup copy away', () => {
+    const result = plan([
+      file('a', [['a-mac', 'mac'], ['a-raid', 'raid'], ['a-vault', 'vault']]),
+      file('b', [['b-raid', 'raid'], ['b-vault', 'vault']]),
+    ]);
+    expect(result.steps).toEqual([]);
+    expect(result.keepers).toEqual([{ fileId: 'a', locationId: 'a-mac' }]);
+  });
+
+  it('keeps the copy picked by hand', () => {
+    const f = file('a', [['a-mac', 'mac'], ['a-t7', 't7'], ['a-raid', 'raid']]);
+    const result = plan([f], { keepers: new Map([['a', 'a-t7']]) });
+    expect(result.keepers).toEqual([{ fileId: 'a', locationId: 'a-t7' }]);
+    expect(actions(result)).toEqual([['a-mac', 'remove']]);
+  });
+
+  it('keeps a source copy when a backup copy was picked', () => {
+    const f = file('a', [['a-mac', 'mac'], ['a-t7', 't7'], ['a-raid', 'raid']]);
+    const result = plan([f], { keepers: new Map([['a', 'a-raid']]) });
+    expect(result.keepers[0].locationId).not.toBe('a-raid');
+    expect(result.steps).toHaveLength(1);
+  });
+});
+
+describe('chooseKeeper', () => {
+  const byId = new Map([
+    drive('nvme', { type: 'nvme' }),
+    drive('hdd', { type: 'hdd' }),
+    drive('raid', { isBackup: true, type: 'raid' }),
+  ].map(d => [d.id, d]));
+
+  const f = file('a', [
+    ['old-nvme', 'nvme', 'Projects/2023/Archive/a.mov', 100],
+    ['new-hdd', 'hdd', 'Projects/2024/Archive/a.mov', 300],
+    ['short-hdd', 'hdd', 'a.mov', 200],
+    ['newest-raid', 'raid', 'a.mov', 400],
+  ]);
+
+  it.each([
+    ['newest-fastest', 'new-hdd'],
+    ['fastest', 'old-nvme'],
+    ['oldest', 'old-nvme'],
+    ['shortest-path', 'short-hdd'],
+  ])('picks by %s among source copies', (strategy, expected) => {
+    expect(chooseKeeper(f, byId, strategy).id).toBe(expected);
+  });
+
+  it('breaks ties on the next key', () => {
+    const tied = file('b', [['slow', 'hdd', 'b.mov', 100], ['fast', 'nvme', 'b.mov', 100]]);
+    expect(chooseKeeper(tied, byId, 'newest-fastest').id).toBe('fast');
+    expect(chooseKeeper(tied, byId, 'shortest-path').id).toBe('fast');
+  });
+
+  it('only takes a source copy by hand', () => {
+    expect(chooseKeeper(f, byId, 'fastest', 'short-hdd').id).toBe('short-hdd');
+    expect(chooseKeeper(f, byId, 'fastest', 'newest-raid').id).toBe('old-nvme');
+  });
+
+  it('has no keeper for a file only on backups', () => {
+    expect(chooseKeeper(file('c', [['c-raid', 'raid']]), byId, 'fastest')).toBeNull();
+  });
+});
+
+describe('planToShellScript', () => {
+  it('quotes paths for sh', () => {
+    const f = file('a', [['a-mac', 'mac'], ['a-t7', 't7', "Clients/Bob's $HOME `x`.mov"], ['a-raid', 'raid']]);
+    const script = planToShellScript(plan([f], { keepers: new Map([['a', 'a-mac']]) }));
+    expect(script).toContain("\nremove_copy '/Volumes/t7/Clients/Bob'\\''s $HOME `x`.mov' 100\n");
+  });
+
+  it('writes refusals as comments on one line', () => {
+    const f = file('a', [['a-mac', 'mac'], ['a-t7', 't7', 'Line\nbreak.mov']]);
+    const script = planToShellScript(plan([f], { keepers: new Map([['a', 'a-mac']]) }));
+    expect(script).toContain('\n# refused: /Volumes/t7/Line break.mov (File is already below its backup policy)\n');
+    expect(script).not.toContain('remove_copy \'');
+  });
+
+  it('uses the same volume path as the copy table', () => {
+    const f = file('a', [['a-mac', 'mac'], ['a-t7', 'gone'], ['a-raid', 'raid']]);
+    const result = plan([f], { keepers: new Map([['a', 'a-mac']]) });
+    expect(result.steps[0].path).toBe(volumePath(undefined, f.locations[1]));
+    expect(planToShellScript(result)).toContain("\nremove_copy '/Volumes/gone/Projects/a.mov' 100\n");
+  });
+
+  it('defaults to a dry run', () => {
+    expect(planToShellScript(plan([]))).toContain('DRY_RUN="${DRY_RUN:-1}"');
+  });
+});
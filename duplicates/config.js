@@ -0,0 +1,84 @@
+// Shareable configuration file.
+//
+// Wraps the persisted settings (same keys, same values) in a small envelope
+// so a team can pass one JSON file around, label shared drives the same way
+// and check them against the same backup policy. Importing merges drive
+// roles by UUID rather than replacing them, so drives only you have keep
+// their labels; the policy is replaced whole.
+
+import { DRIVE_TYPES } from './cleanup';
+import { DRIVE_TAGS, isValidPolicy } from './policy';
+import { DRIVE_SETTING_KEYS, SETTING_KEYS, mergeDriveSetting, readSetting, writeSetting } from './settings';
+import { isValidSort } from './sort';
+
+export const CONFIG_KIND = 'driveindex.duplicates.config';
+export const CONFIG_VERSION = 1;
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isDriveMap = (value, isValidEntry) => isPlainObject(value) && Object.values(value).every(isValidEntry);
+
+const VALIDATORS = {
+  [SETTING_KEYS.driveBackupStates]: value => isDriveMap(value, entry => typeof entry === 'boolean'),
+  [SETTING_KEYS.driveTags]: value => isDriveMap(value, entry => Array.isArray(entry) && entry.every(tag => DRIVE_TAGS.includes(tag))),
+  [SETTING_KEYS.driveTypes]: value => isDriveMap(value, entry => entry === null || DRIVE_TYPES.some(type => type.id === entry)),
+  [SETTING_KEYS.showBackedUp]: value => typeof value === 'boolean',
+  [SETTING_KEYS.showDuplicates]: value => typeof value === 'boolean',
+  [SETTING_KEYS.showDiverged]: value => typeof value === 'boolean',
+  [SETTING_KEYS.sortOption]: isValidSort,
+  [SETTING_KEYS.policy]: isValidPolicy,
+};
+
+export const buildConfig = (exportedAt = new Date()) => {
+  const settings = {};
+  for (const key of Object.values(SETTING_KEYS)) {
+    const value = readSetting(key);
+    if (value != null && VALIDATORS[key](value)) settings[key] = value;
+  }
+  return { kind: CONFIG_KIND, version: CONFIG_VERSION, exportedAt: exportedAt.toISOString(), settings };
+};
+
+export const configToJson = (config) => `${JSON.stringify(config, null, 2)}\n`;
+
+// Validates a config file and returns its settings. Unknown keys are
+// dropped, so files from newer builds import what this one understands.
+export const parseConfig = (text) => {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch {
+    throw new ConfigError('Not a JSON file');
+  }
+
+  if (!isPlainObject(config) || config.kind !== CONFIG_KIND) {
+    throw new ConfigError('Not a DriveIndex duplicates configuration');
+  }
+  if (!Number.isInteger(config.version) || config.version > CONFIG_VERSION) {
+    throw new ConfigError(`Unsupported configuration version ${config.version}`);
+  }
+  if (!isPlainObject(config.settings)) {
+    throw new ConfigError('Configuration has no settings');
+  }
+
+  const settings = {};
+  for (const [key, isValid] of Object.entries(VALIDATORS)) {
+    if (!(key in config.settings)) continue;
+    if (!isValid(config.settings[key])) throw new ConfigError(`Invalid value for "${key}"`);
+    settings[key] = config.settings[key];
+  }
+  return settings;
+};
+
+export const applyConfig = (settings) => {
+  for (const [key, value] of Object.entries(settings)) {
+    if (DRIVE_SETTING_KEYS.includes(key)) mergeDriveSetting(key, value);
+    else writeSetting(key, value);
+  }
+};
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CONFIG_KIND, CONFIG_VERSION, ConfigError, applyConfig, buildConfig, configToJson, parseConfig } from './config';
+import { DEFAULT_POLICY, addRule, createRule, loadPolicy } from './policy';
+import { SETTING_KEYS, readSetting, writeSetting } from './settings';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+};
+
+const policy = addRule(DEFAULT_POLICY, createRule({ label: 'Raw photos', match: ['dng'], minCopies: 3, requiredTags: ['offsite'] }));
+
+const configWith = (settings) => JSON.stringify({ kind: CONFIG_KIND, version: CONFIG_VERSION, settings });
+
+beforeEach(() => {
+  vi.stubGlobal('window', { localStorage: memoryStorage() });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('buildConfig', () => {
+  it('exports the saved settings, policy included', () => {
+    writeSetting(SETTING_KEYS.driveBackupStates, { 'drive-a': true });
+    writeSetting(SETTING_KEYS.showDiverged, false);
+    writeSetting(SETTING_KEYS.policy, policy);
+
+    const config = buildConfig(new Date('2024-10-24T00:00:00Z'));
+    expect(config).toEqual({
+      kind: CONFIG_KIND,
+      version: CONFIG_VERSION,
+      exportedAt: '2024-10-24T00:00:00.000Z',
+      settings: {
+        [SETTING_KEYS.driveBackupStates]: { 'drive-a': true },
+        [SETTING_KEYS.showDiverged]: false,
+        [SETTING_KEYS.policy]: policy,
+      },
+    });
+  });
+
+  it('leaves out corrupt entries', () => {
+    writeSetting(SETTING_KEYS.policy, { rules: [] });
+    expect(buildConfig().settings).toEqual({});
+  });
+});
+
+describe('parseConfig', () => {
+  it('round-trips an exported config', () => {
+    writeSetting(SETTING_KEYS.policy, policy);
+    writeSetting(SETTING_KEYS.driveTags, { 'drive-a': ['offsite'] });
+    expect(parseConfig(configToJson(buildConfig()))).toEqual({
+      [SETTING_KEYS.policy]: policy,
+      [SETTING_KEYS.driveTags]: { 'drive-a': ['offsite'] },
+    });
+  });
+
+  it('drops keys it doesn\'t know', () => {
+    expect(parseConfig(configWith({ 'duplicates.fromTheFuture': 1 }))).toEqual({});
+  });
+
+  it.each([
+    ['not JSON', '{', 'Not a JSON file'],
+    ['another kind of file', JSON.stringify({ kind: 'other' }), 'Not a DriveIndex duplicates configuration'],
+    ['a newer version', JSON.stringify({ kind: CONFIG_KIND, version: CONFIG_VERSION + 1, settings: {} }), `Unsupported configuration version ${CONFIG_VERSION + 1}`],
+    ['a policy without a catch-all rule', configWith({ [SETTING_KEYS.policy]: { rules: [createRule({ match: ['dng'] })] } }), `Invalid value for "${SETTING_KEYS.policy}"`],
+    ['a policy with an unknown tag', configWith({ [SETTING_KEYS.policy]: { rules: [{ ...DEFAULT_POLICY.rules[0], requiredTags: ['cloud'] }] } }), `Invalid value for "${SETTING_KEYS.policy}"`],
+  ])('rejects %s', (_, text, message) => {
+    expect(() => parseConfig(text)).toThrow(new ConfigError(message));
+  });
+});
+
+describe('applyConfig', () => {
+  it('merges drive roles and replaces the policy', () => {
+    writeSetting(SETTING_KEYS.driveBackupStates, { 'drive-a': true, 'drive-b': false });
+    applyConfig(parseConfig(configWith({
+      [SETTING_KEYS.driveBackupStates]: { 'drive-b': true },
+      [SETTING_KEYS.policy]: policy,
+    })));
+
+    expect(readSetting(SETTING_KEYS.driveBackupStates)).toEqual({ 'drive-a': true, 'drive-b': true });
+    expect(loadPolicy()).toEqual(policy);
+  });
+});
+
+describe('loadPolicy', () => {
+  it('falls back to the default policy', () => {
+    expect(loadPolicy()).toBe(DEFAULT_POLICY);
+    writeSetting(SETTING_KEYS.policy, { rules: 'all' });
+    expect(loadPolicy()).toBe(DEFAULT_POLICY);
+  });
+});
@@ -0,0 +1,80 @@
+// Diverged files: the same file on several drives that no longer agrees.
+//
+// Grouping by hash only finds identical copies. A "backup" that was edited
+// separately, or never refreshed, has the same name but a different hash and
+// date, and is the copy you'd least want to restore from. The newest version
+// is the one with the latest modified date; every copy with its hash counts
+// as up to date.
+//
+// A shared name alone says little (IMG_0001.JPG, README.md), so copies are
+// matched by relative path first: the same path on different drives. Copies
+// left over only match others in a folder of the same name, e.g.
+// "Finance/Budget.xlsx" and "Users/admin/Documents/Finance/Budget.xlsx".
+
+const parentName = (relativePath) => {
+  const parts = relativePath.split('/');
+  return parts.length > 1 ? parts[parts.length - 2] : null;
+};
+
+// Copies on more than one drive, with more than one hash and date
+const hasDiverged = (copies) => new Set(copies.map(copy => copy.driveId)).size > 1 &&
+  new Set(copies.map(copy => copy.hash)).size > 1 &&
+  new Set(copies.map(copy => copy.modifiedAt)).size > 1;
+
+const bucket = (copies, keyOf) => {
+  const buckets = new Map();
+  for (const copy of copies) {
+    const key = keyOf(copy);
+    if (key == null) continue;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(copy);
+  }
+  return buckets;
+};
+
+// Splits the copies of the file `name` into diverged groups, each
+// `{ key, copies }` with the copies in their original order
+export const divergedCopySets = (name, copies) => {
+  const sets = [];
+  const matched = new Set();
+
+  for (const [relativePath, samePath] of bucket(copies, copy => copy.relativePath)) {
+    if (!hasDiverged(samePath)) continue;
+    sets.push({ key: `path:${relativePath}`, copies: samePath });
+    samePath.forEach(copy => matched.add(copy));
+  }
+
+  const rest = copies.filter(copy => !matched.has(copy));
+  for (const [folder, sameFolder] of bucket(rest, copy => parentName(copy.relativePath))) {
+    if (hasDiverged(sameFolder)) sets.push({ key: `folder:${folder}/${name}`, copies: sameFolder });
+  }
+
+  return sets;
+};
+
+export const newestHash = (locations) => {
+  let newest = null;
+  for (const location of locations) {
+    if (!newest || (location.modifiedAt ?? -Infinity) > (newest.modifiedAt ?? -Infinity)) newest = location;
+  }
+  return newest?.hash ?? null;
+};
+
+export const isNewestCopy = (group, location) => location.hash === group.hash;
+
+// Drive grid status while a diverged group is highlighted. A drive holding
+// the newest version counts as newer even if it has an older one too.
+export const divergedDriveStatus = (group, driveId) => {
+  const copies = group.locations.filter(location => location.driveId === driveId);
+  if (copies.length === 0) return 'dimmed';
+  return copies.some(location => isNewestCopy(group, location)) ? 'newer' : 'older';
+};
+
+// Spoken summary for a row, e.g. "2 versions on 3 drives, newest on Samsung T7"
+export const describeDivergence = (group, drivesById) => {
+  const newestDrives = [...new Set(
+    group.locations.filter(location => isNewestCopy(group, location)).map(location => drivesById.get(location.driveId)?.name ?? location.driveId)
+  )];
+  const driveCount = new Set(group.drives).size;
+  return `${group.versionCount} versions on ${driveCount} drives, newest on ${newestDrives.join(' and ')}`;
+};
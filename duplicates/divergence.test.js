@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { divergedCopySets, divergedDriveStatus, newestHash } from './divergence';
+
+let nextId = 1;
+
+const copy = (driveId, relativePath, hash, modifiedAt) => ({ id: nextId++, driveId, relativePath, hash, modifiedAt });
+
+const keys = (name, copies) => divergedCopySets(name, copies).map(set => set.key);
+
+describe('divergedCopySets', () => {
+  it('matches the same path on different drives', () => {
+    const copies = [
+      copy('a', 'Finance/Budget.xlsx', 'h2', 200),
+      copy('b', 'Finance/Budget.xlsx', 'h1', 100),
+    ];
+    expect(divergedCopySets('Budget.xlsx', copies)).toEqual([{ key: 'path:Finance/Budget.xlsx', copies }]);
+  });
+
+  it('falls back to a folder of the same name', () => {
+    const copies = [
+      copy('a', 'Users/admin/Documents/Finance/Budget.xlsx', 'h2', 200),
+      copy('b', 'Finance/Budget.xlsx', 'h1', 100),
+    ];
+    expect(keys('Budget.xlsx', copies)).toEqual(['folder:Finance/Budget.xlsx']);
+  });
+
+  it('leaves unrelated files with a common name alone', () => {
+    const copies = [
+      copy('a', 'Projects/site/README.md', 'h1', 300),
+      copy('b', 'Archive/tool/README.md', 'h2', 200),
+      copy('c', 'README.md', 'h3', 100),
+    ];
+    expect(keys('README.md', copies)).toEqual([]);
+  });
+
+  it('keeps path matches apart from folder matches', () => {
+    const copies = [
+      copy('a', 'DCIM/100CANON/IMG_0001.JPG', 'h1', 300),
+      copy('b', 'DCIM/100CANON/IMG_0001.JPG', 'h2', 200),
+      copy('c', 'Import/2024/IMG_0001.JPG', 'h3', 150),
+      copy('d', 'Backup/2024/IMG_0001.JPG', 'h4', 100),
+    ];
+    expect(keys('IMG_0001.JPG', copies)).toEqual(['path:DCIM/100CANON/IMG_0001.JPG', 'folder:2024/IMG_0001.JPG']);
+  });
+
+  it('needs more than one drive, hash and date', () => {
+    expect(keys('a.mov', [copy('a', 'x/a.mov', 'h1', 200), copy('a', 'y/x/a.mov', 'h2', 100)])).toEqual([]);
+    expect(keys('a.mov', [copy('a', 'x/a.mov', 'h1', 200), copy('b', 'x/a.mov', 'h1', 100)])).toEqual([]);
+    expect(keys('a.mov', [copy('a', 'x/a.mov', 'h1', 100), copy('b', 'x/a.mov', 'h2', 100)])).toEqual([]);
+  });
+});
+
+describe('newestHash', () => {
+  it('takes the hash of the latest copy', () => {
+    expect(newestHash([copy('a', 'a', 'old', 100), copy('b', 'a', 'new', 200)])).toBe('new');
+  });
+});
+
+describe('divergedDriveStatus', () => {
+  const group = {
+    hash: 'new',
+    locations: [copy('a', 'x', 'new', 200), copy('b', 'x', 'old', 100), copy('b', 'y/x', 'new', 200), copy('c', 'x', 'old', 50)],
+  };
+
+  it('marks drives by the newest version they hold', () => {
+    expect(['a', 'b', 'c', 'd'].map(driveId => divergedDriveStatus(group, driveId))).toEqual(['newer', 'newer', 'older', 'dimmed']);
+  });
+});
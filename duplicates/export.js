@@ -0,0 +1,199 @@
+// Duplicate / backup-coverage reports for people who don't run the app.
+//
+// buildReport() turns the filtered list into a plain object; the toCsv /
+// toJson / toHtml serializers only ever see that object, so all three formats
+// carry the same numbers.
+
+import { formatBytes, formatDate } from './format';
+import { reclaimableBytes } from './sort';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', mimeType: 'text/csv' },
+  { id: 'json', label: 'JSON', mimeType: 'application/json' },
+  { id: 'html', label: 'HTML Report', mimeType: 'text/html' },
+];
+
+export const buildReport = (files, drives, generatedAt = new Date()) => {
+  const drivesById = new Map(drives.map(drive => [drive.id, drive]));
+  const isBackupDrive = (driveId) => Boolean(drivesById.get(driveId)?.isBackup);
+  const driveIds = new Set();
+
+  const reportFiles = files.map(file => {
+    file.drives.forEach(driveId => driveIds.add(driveId));
+    return {
+      name: file.name,
+      hash: file.hash,
+      sizeBytes: file.size,
+      modifiedAt: file.modifiedAt,
+      backedUp: file.drives.some(isBackupDrive),
+      reclaimableBytes: reclaimableBytes(file, isBackupDrive),
+      locations: file.locations.map(location => ({
+        driveName: drivesById.get(location.driveId)?.name ?? location.driveId,
+        driveUuid: location.driveId,
+        relativePath: location.relativePath,
+        role: isBackupDrive(location.driveId) ? 'backup' : 'source',
+      })),
+    };
+  });
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    summary: {
+      fileCount: reportFiles.length,
+      driveCount: driveIds.size,
+      totalBytes: reportFiles.reduce((sum, file) => sum + file.sizeBytes, 0),
+      reclaimableBytes: reportFiles.reduce((sum, file) => sum + file.reclaimableBytes, 0),
+      unbackedBytes: reportFiles.filter(file => !file.backedUp).reduce((sum, file) => sum + file.sizeBytes, 0),
+    },
+    drives: drives
+      .filter(drive => driveIds.has(drive.id))
+      .map(drive => ({ name: drive.name, uuid: drive.id, role: drive.isBackup ? 'backup' : 'source' })),
+    files: reportFiles,
+  };
+};
+
+// --- CSV ---
+
+// A cell starting with = + - or @ is a formula to Excel and Numbers; the
+// leading apostrophe keeps a file named "=HYPERLINK(...)" as text.
+const csvField = (value) => {
+  const raw = value == null ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(',');
+
+// The summary comes first as plain key,value rows, then a blank row, then
+// one row per copy so every location is greppable.
+export const toCsv = (report) => {
+  const { summary } = report;
+  const lines = [
+    csvRow(['generated_at', report.generatedAt]),
+    csvRow(['files', summary.fileCount]),
+    csvRow(['drives', summary.driveCount]),
+    csvRow(['reclaimable_bytes', summary.reclaimableBytes]),
+    csvRow(['unbacked_bytes', summary.unbackedBytes]),
+    '',
+    csvRow(['name', 'hash', 'size_bytes', 'copies', 'backed_up', 'drive_name', 'drive_uuid', 'relative_path', 'role']),
+  ];
+
+  for (const file of report.files) {
+    for (const location of file.locations) {
+      lines.push(csvRow([
+        file.name,
+        file.hash,
+        file.sizeBytes,
+        file.locations.length,
+        file.backedUp,
+        location.driveName,
+        location.driveUuid,
+        location.relativePath,
+        location.role,
+      ]));
+    }
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// --- JSON ---
+
+export const toJson = (report) => `${JSON.stringify(report, null, 2)}\n`;
+
+// --- HTML ---
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+  body { font: 13px/1.45 -apple-system, BlinkMacSystemFont, "Helvetica Neue", sans-serif; color: #1e293b; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #64748b; margin-bottom: 20px; }
+  .summary { display: flex; gap: 12px; margin-bottom: 24px; }
+  .summary div { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 14px; min-width: 120px; }
+  .summary strong { display: block; font-size: 16px; }
+  .summary span { color: #64748b; font-size: 11px; text-transform: uppercase; letter-spacing: .04em; }
+  table { border-collapse: collapse; width: 100%; }
+  th { text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: .04em; color: #64748b; border-bottom: 2px solid #e2e8f0; padding: 6px 8px; }
+  td { border-bottom: 1px solid #f1f5f9; padding: 6px 8px; vertical-align: top; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+  .path { font-family: ui-monospace, Menlo, monospace; font-size: 11px; color: #475569; }
+  .role { display: inline-block; font-size: 10px; font-weight: 600; border-radius: 4px; padding: 0 5px; margin-right: 6px; }
+  .role.backup { background: #d1fae5; color: #047857; }
+  .role.source { background: #ffedd5; color: #c2410c; }
+  .unbacked { color: #c2410c; font-weight: 600; }
+`;
+
+export const toHtml = (report) => {
+  const { summary } = report;
+
+  const rows = report.files.map(file => `
+      <tr>
+        <td>${escapeHtml(file.name)}${file.backedUp ? '' : ' <span class="unbacked">Unbacked</span>'}</td>
+        <td class="num" title="${file.sizeBytes} bytes">${escapeHtml(formatBytes(file.sizeBytes))}</td>
+        <td class="num">${escapeHtml(formatBytes(file.reclaimableBytes))}</td>
+        <td class="num">${escapeHtml(formatDate(file.modifiedAt))}</td>
+        <td>${file.locations.map(location => `
+          <div><span class="role ${location.role}">${location.role === 'backup' ? 'Backup' : 'Source'}</span>${escapeHtml(location.driveName)}
+            <div class="path" title="${escapeHtml(location.driveUuid)}">${escapeHtml(location.relativePath)}</div></div>`).join('')}
+        </td>
+      </tr>`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>DriveIndex Duplicate Report</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <h1>Duplicate Report</h1>
+  <div class="meta">Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())} by DriveIndex</div>
+
+  <div class="summary">
+    <div><strong>${summary.fileCount}</strong><span>Files</span></div>
+    <div><strong>${summary.driveCount}</strong><span>Drives</span></div>
+    <div><strong>${escapeHtml(formatBytes(summary.reclaimableBytes))}</strong><span>Reclaimable</span></div>
+    <div><strong>${escapeHtml(formatBytes(summary.unbackedBytes))}</strong><span>Unbacked</span></div>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Name</th><th>Size</th><th>Reclaimable</th><th>Modified</th><th>Locations</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+// --- Download ---
+
+const SERIALIZERS = { csv: toCsv, json: toJson, html: toHtml };
+
+// Hands a generated file to the browser as a download
+export const downloadFile = (contents, filename, mimeType) => {
+  const blob = new Blob([contents], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadReport = (report, format) => {
+  const { mimeType } = EXPORT_FORMATS.find(f => f.id === format);
+  downloadFile(SERIALIZERS[format](report), `driveindex-duplicates-${report.generatedAt.slice(0, 10)}.${format}`, mimeType);
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { buildReport, toCsv, toHtml, toJson } from './export';
+import { drives } from './fixtures/drives';
+
+const file = (name, size, paths) => ({
+  id: name,
+  name,
+  hash: `hash-${name}`,
+  size,
+  modifiedAt: 1700000000,
+  drives: paths.map(path => path.split(':')[0]),
+  locations: paths.map((path, i) => {
+    const [driveId, relativePath] = path.split(':');
+    return { id: `${name}-${i}`, driveId, relativePath };
+  }),
+});
+
+const files = [
+  // Two source copies and a backup: one copy reclaimable
+  file('render.mov', 300, ['mac:Titan/render.mov', 't7:Titan/render.mov', 'raid:Titan/render.mov']),
+  // No backup
+  file('budget.xlsx', 20, ['mac:Finance/budget.xlsx', 't7:budget.xlsx']),
+  file('photo.dng', 5, ['raid:Photos/photo.dng', 'vault:Photos/photo.dng']),
+];
+
+const generatedAt = new Date('2024-06-01T12:00:00Z');
+
+const csvLines = (report) => toCsv(report).split('\r\n');
+
+describe('buildReport', () => {
+  it('totals what the report covers', () => {
+    expect(buildReport(files, drives, generatedAt).summary).toEqual({
+      fileCount: 3,
+      driveCount: 4,
+      totalBytes: 325,
+      reclaimableBytes: 300 + 20,
+      unbackedBytes: 20,
+    });
+  });
+
+  it('counts only the drives the files are on', () => {
+    const report = buildReport(files.slice(1, 2), drives, generatedAt);
+    expect(report.summary.driveCount).toBe(2);
+    expect(report.drives.map(drive => drive.uuid)).toEqual(['mac', 't7']);
+  });
+
+  it('labels each copy by its drive role', () => {
+    const [render] = buildReport(files, drives, generatedAt).files;
+    expect(render.backedUp).toBe(true);
+    expect(render.locations.map(location => location.role)).toEqual(['source', 'source', 'backup']);
+  });
+});
+
+describe('toCsv', () => {
+  it('leads with the summary rows, then one row per copy', () => {
+    const lines = csvLines(buildReport(files, drives, generatedAt));
+    expect(lines.slice(0, 7)).toEqual([
+      'generated_at,2024-06-01T12:00:00.000Z',
+      'files,3',
+      'drives,4',
+      'reclaimable_bytes,320',
+      'unbacked_bytes,20',
+      '',
+      'name,hash,size_bytes,copies,backed_up,drive_name,drive_uuid,relative_path,role',
+    ]);
+    expect(lines[7]).toBe('render.mov,hash-render.mov,300,3,true,mac,mac,Titan/render.mov,source');
+    // 7 copies and a trailing newline
+    expect(lines.slice(7)).toHaveLength(8);
+    expect(lines.at(-1)).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    const report = buildReport([file('a, "b"\nc.mov', 1, ['mac:x/a.mov', 't7:x/a.mov'])], drives, generatedAt);
+    expect(toCsv(report)).toContain('\r\n"a, ""b""\nc.mov",');
+  });
+
+  it.each([
+    ['=HYPERLINK("x")', '"\'=HYPERLINK(""x"")"'],
+    ['+1.mov', "'+1.mov"],
+    ['-rf.mov', "'-rf.mov"],
+    ['@SUM(A1).mov', "'@SUM(A1).mov"],
+  ])('keeps %s from running as a formula', (name, field) => {
+    const report = buildReport([file(name, 1, ['mac:x', 't7:x'])], drives, generatedAt);
+    expect(csvLines(report)[7].startsWith(`${field},`)).toBe(true);
+  });
+
+  it('leaves ordinary names alone', () => {
+    const report = buildReport([file('1 - take.mov', 1, ['mac:x', 't7:x'])], drives, generatedAt);
+    expect(csvLines(report)[7].startsWith('1 - take.mov,')).toBe(true);
+  });
+});
+
+describe('toJson and toHtml', () => {
+  it('carry the same summary', () => {
+    const report = buildReport(files, drives, generatedAt);
+    expect(JSON.parse(toJson(report)).summary).toEqual(report.summary);
+    expect(toHtml(report)).toContain('<strong>4</strong><span>Drives</span>');
+  });
+
+  it('escapes names in the HTML report', () => {
+    const report = buildReport([file('<b>.mov', 1, ['mac:x', 't7:x'])], drives, generatedAt);
+    expect(toHtml(report)).toContain('&lt;b&gt;.mov');
+  });
+});
@@ -0,0 +1,112 @@
+// "What if this drive fails?"
+//
+// Backup roles say which copies are labelled backups, not what a dead drive
+// would actually cost. Simulating a failure drops every copy on the failed
+// drives and re-checks each file against its rule:
+//
+//   'lost'          no copy left anywhere
+//   'below-policy'  copies remain, but the file now falls short of its rule
+//                   (too few drives or backups, or the only tagged drive gone)
+//
+// Files with a single copy aren't in the list; their per-drive totals from
+// getSingleCopyTotals() count as lost along with the drive.
+
+import { evaluateFile } from './policy';
+
+export const FAILURE_LABELS = {
+  lost: 'Lost',
+  'below-policy': 'Below policy',
+};
+
+const violationKey = (violation) => (violation.kind === 'tag' ? `tag:${violation.tag}` : violation.kind);
+
+// Outcome for one file, or null if the failure doesn't hurt it. A file
+// already short of its rule counts as hurt when it misses something new or
+// falls further short, not when it just has more violations than before.
+export const failureOutcome = (file, evaluation, failedDriveIds, drivesById, policy) => {
+  if (!file.drives.some(driveId => failedDriveIds.has(driveId))) return null;
+
+  const remaining = file.drives.filter(driveId => !failedDriveIds.has(driveId));
+  if (remaining.length === 0) return 'lost';
+
+  const before = new Map(evaluation.violations.map(violation => [violationKey(violation), violation]));
+  const after = evaluateFile({ ...file, drives: remaining }, drivesById, policy);
+  const fallsShort = after.violations.some(violation => {
+    const existing = before.get(violationKey(violation));
+    return !existing || violation.actual < existing.actual;
+  });
+  return fallsShort ? 'below-policy' : null;
+};
+
+// Files hurt by the failure, and what it costs each failed drive. A file
+// counts towards every failed drive it had a copy on.
+export const simulateFailure = (files, evaluations, failedDriveIds, drivesById, policy, singleCopyTotals = new Map()) => {
+  const outcomes = new Map();
+  const byDrive = new Map([...failedDriveIds].map(driveId => [driveId, { lostBytes: 0, belowPolicyBytes: 0 }]));
+  const totals = { lostFiles: 0, lostBytes: 0, belowPolicyFiles: 0, belowPolicyBytes: 0 };
+
+  if (failedDriveIds.size === 0) return { outcomes, byDrive, totals };
+
+  for (const [driveId, entry] of byDrive) {
+    const single = singleCopyTotals.get(driveId);
+    if (!single) continue;
+    entry.lostBytes += single.bytes;
+    totals.lostFiles += single.fileCount;
+    totals.lostBytes += single.bytes;
+  }
+
+  for (const file of files) {
+    const outcome = failureOutcome(file, evaluations.get(file.id), failedDriveIds, drivesById, policy);
+    if (!outcome) continue;
+
+    outcomes.set(file.id, outcome);
+    if (outcome === 'lost') {
+      totals.lostFiles += 1;
+      totals.lostBytes += file.size;
+    } else {
+      totals.belowPolicyFiles += 1;
+      totals.belowPolicyBytes += file.size;
+    }
+
+    const field = outcome === 'lost' ? 'lostBytes' : 'belowPolicyBytes';
+    for (const driveId of new Set(file.drives)) {
+      if (byDrive.has(driveId)) byDrive.get(driveId)[field] += file.size;
+    }
+  }
+
+  return { outcomes, byDrive, totals };
+};
+
+// Every drive failing on its own, worst first: bytes that exist nowhere
+// else, then bytes that would fall below policy
+export const rankSinglePointsOfFailure = (files, evaluations, drives, drivesById, policy, singleCopyTotals = new Map()) => {
+  const ranking = new Map(drives.map(drive => {
+    const single = singleCopyTotals.get(drive.id);
+    return [drive.id, {
+      driveId: drive.id,
+      lostFiles: single?.fileCount ?? 0,
+      lostBytes: single?.bytes ?? 0,
+      belowPolicyFiles: 0,
+      belowPolicyBytes: 0,
+    }];
+  }));
+
+  for (const file of files) {
+    const evaluation = evaluations.get(file.id);
+    for (const driveId of new Set(file.drives)) {
+      const entry = ranking.get(driveId);
+      if (!entry) continue;
+
+      const outcome = failureOutcome(file, evaluation, new Set([driveId]), drivesById, policy);
+      if (outcome === 'lost') {
+        entry.lostFiles += 1;
+        entry.lostBytes += file.size;
+      } else if (outcome === 'below-policy') {
+        entry.belowPolicyFiles += 1;
+        entry.belowPolicyBytes += file.size;
+      }
+    }
+  }
+
+  return [...ranking.values()].sort((a, b) => b.lostBytes - a.lostBytes || b.belowPolicyBytes - a.belowPolicyBytes);
+};
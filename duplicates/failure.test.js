@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { failureOutcome, rankSinglePointsOfFailure, simulateFailure } from './failure';
+import { drives, drivesById } from './fixtures/drives';
+import { DEFAULT_POLICY, DEFAULT_RULE, createRule, evaluateFile } from './policy';
+
+const file = (id, driveIds, size = 100) => ({ id, name: `${id}.pdf`, size, drives: driveIds });
+
+const outcome = (f, failed, policy = DEFAULT_POLICY) =>
+  failureOutcome(f, evaluateFile(f, drivesById, policy), new Set(failed), drivesById, policy);
+
+describe('failureOutcome', () => {
+  it('ignores files with no copy on the failed drive', () => {
+    expect(outcome(file('a', ['mac', 'raid']), ['t7'])).toBeNull();
+  });
+
+  it('loses files whose every copy was on failed drives', () => {
+    expect(outcome(file('a', ['mac', 'mac']), ['mac'])).toBe('lost');
+    expect(outcome(file('a', ['mac', 'raid']), ['mac', 'raid'])).toBe('lost');
+  });
+
+  it('flags a file that loses its only backup', () => {
+    expect(outcome(file('a', ['mac', 'raid']), ['raid'])).toBe('below-policy');
+  });
+
+  it('leaves a file that still meets its rule', () => {
+    expect(outcome(file('a', ['mac', 't7', 'raid']), ['t7'])).toBeNull();
+  });
+
+  it('flags a file trading one violation for another', () => {
+    // Already short of three drives; losing the offsite vault breaks the tag rule instead
+    const policy = { rules: [createRule({ minCopies: 3, minBackupCopies: 1, requiredTags: ['offsite'], match: ['pdf'] }), DEFAULT_RULE] };
+    const f = file('a', ['mac', 'vault']);
+    expect(evaluateFile(f, drivesById, policy).violations.map(v => v.kind)).toEqual(['copies']);
+    expect(outcome(f, ['vault'], policy)).toBe('below-policy');
+  });
+
+  it('flags a file falling further short of a rule it already missed', () => {
+    const policy = { rules: [createRule({ minCopies: 4, minBackupCopies: 0, match: ['pdf'] }), DEFAULT_RULE] };
+    expect(outcome(file('a', ['mac', 't7', 'raid']), ['t7'], policy)).toBe('below-policy');
+  });
+
+  it('leaves a file already below policy that misses nothing new', () => {
+    // No backup before or after
+    expect(outcome(file('a', ['mac', 't7', 't7']), ['t7'])).toBe(null);
+  });
+});
+
+describe('simulateFailure', () => {
+  const files = [
+    file('lost', ['t7', 't7'], 300),
+    file('below', ['mac', 'raid'], 200),
+    file('redundant', ['mac', 't7', 'raid'], 100),
+  ];
+  const evaluations = new Map(files.map(f => [f.id, evaluateFile(f, drivesById, DEFAULT_POLICY)]));
+
+  it('totals what each failed drive would cost', () => {
+    const { outcomes, byDrive, totals } = simulateFailure(files, evaluations, new Set(['t7', 'raid']), drivesById, DEFAULT_POLICY);
+
+    expect(Object.fromEntries(outcomes)).toEqual({ lost: 'lost', below: 'below-policy', redundant: 'below-policy' });
+    expect(totals).toEqual({ lostFiles: 1, lostBytes: 300, belowPolicyFiles: 2, belowPolicyBytes: 300 });
+    expect(byDrive.get('t7')).toEqual({ lostBytes: 300, belowPolicyBytes: 100 });
+    expect(byDrive.get('raid')).toEqual({ lostBytes: 0, belowPolicyBytes: 300 });
+  });
+
+  it('does nothing without failed drives', () => {
+    expect(simulateFailure(files, evaluations, new Set(), drivesById, DEFAULT_POLICY).outcomes.size).toBe(0);
+  });
+
+  it('ranks single points of failure worst first', () => {
+    const ranking = rankSinglePointsOfFailure(files, evaluations, drives, drivesById, DEFAULT_POLICY);
+    expect(ranking.map(entry => entry.driveId)).toEqual(['t7', 'raid', 'mac', 'vault']);
+    expect(ranking[0]).toMatchObject({ lostFiles: 1, lostBytes: 300, belowPolicyFiles: 0 });
+    expect(ranking[1]).toMatchObject({ lostFiles: 0, belowPolicyFiles: 2, belowPolicyBytes: 300 });
+  });
+
+  // Files only one drive holds, which never make it into `files`
+  const singleCopyTotals = new Map([['mac', { fileCount: 2, bytes: 1000 }], ['raid', { fileCount: 1, bytes: 50 }]]);
+
+  it('loses the single copies on each failed drive', () => {
+    const { byDrive, totals } = simulateFailure(files, evaluations, new Set(['t7', 'raid']), drivesById, DEFAULT_POLICY, singleCopyTotals);
+    expect(totals).toEqual({ lostFiles: 2, lostBytes: 350, belowPolicyFiles: 2, belowPolicyBytes: 300 });
+    expect(byDrive.get('raid')).toEqual({ lostBytes: 50, belowPolicyBytes: 300 });
+  });
+
+  it('ranks drives by their single copies too', () => {
+    const ranking = rankSinglePointsOfFailure(files, evaluations, drives, drivesById, DEFAULT_POLICY, singleCopyTotals);
+    expect(ranking.map(entry => entry.driveId)).toEqual(['mac', 't7', 'raid', 'vault']);
+    expect(ranking[0]).toEqual({ driveId: 'mac', lostFiles: 2, lostBytes: 1000, belowPolicyFiles: 0, belowPolicyBytes: 0 });
+    expect(ranking[2]).toMatchObject({ lostFiles: 1, lostBytes: 50, belowPolicyFiles: 2 });
+  });
+});
@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from 'react';
+import App from '../../duplicates-mockup';
+import { BENCHMARK_GROUP_COUNT, generateCatalog } from './benchmark';
+
+// Each phase scrolls the list a fixed distance per frame and records how
+// long every frame actually took. A steady scroll stays inside the loaded
+// page; a fling keeps pulling in new pages as it goes.
+const PHASES = [
+  { id: 'steady', label: 'Steady scroll', pixelsPerFrame: 40, frames: 300 },
+  { id: 'fling', label: 'Fling', pixelsPerFrame: 2400, frames: 300 },
+];
+
+// 60fps leaves ~16.7ms a frame; anything past 1.5 frames counts as dropped
+const DROPPED_FRAME_MS = 25;
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+const summarize = (frameTimes) => {
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+  return {
+    averageMs: average,
+    p95Ms: percentile(sorted, 0.95),
+    maxMs: sorted[sorted.length - 1],
+    dropped: frameTimes.filter(time => time > DROPPED_FRAME_MS).length,
+    fps: 1000 / average,
+  };
+};
+
+const runPhase = (list, phase) => new Promise(resolve => {
+  const frameTimes = [];
+  let previous = null;
+
+  const step = (now) => {
+    if (previous != null) frameTimes.push(now - previous);
+    previous = now;
+
+    if (frameTimes.length >= phase.frames) {
+      resolve({ ...phase, ...summarize(frameTimes), scrolledTo: list.scrollTop });
+      return;
+    }
+    list.scrollTop += phase.pixelsPerFrame;
+    requestAnimationFrame(step);
+  };
+
+  requestAnimationFrame(step);
+});
+
+// Renders the duplicates view over a synthetic 200k-group catalog with a
+// small overlay to run the scripted scroll and read off frame times.
+export default function ScrollBenchmark({ groupCount = BENCHMARK_GROUP_COUNT, seed = 1 }) {
+  const catalog = useMemo(() => generateCatalog({ groupCount, seed }), [groupCount, seed]);
+  const [results, setResults] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const run = async () => {
+    const list = document.querySelector('[data-duplicate-list]');
+    if (!list) return;
+
+    setIsRunning(true);
+    setResults([]);
+    list.scrollTop = 0;
+
+    const finished = [];
+    for (const phase of PHASES) {
+      finished.push(await runPhase(list, phase));
+      setResults([...finished]);
+    }
+    setIsRunning(false);
+  };
+
+  return (
+    <div className="relative">
+      <App catalog={catalog} />
+
+      <div className="fixed top-4 right-4 z-50 w-72 bg-slate-800 border border-white/10 rounded-lg shadow-2xl p-3 text-[11px] text-slate-300">
+        <div className="flex items-center justify-between mb-2">
+          <span className="font-semibold text-white">Scroll benchmark</span>
+          <span className="text-slate-500">{catalog.duplicates.length.toLocaleString()} rows</span>
+        </div>
+        <button
+          onClick={run}
+          disabled={isRunning}
+          className="w-full bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/30 text-blue-200 font-medium rounded-md py-1 transition-colors disabled:opacity-40"
+        >
+          {isRunning ? 'Running...' : 'Run'}
+        </button>
+        {results.map(result => (
+          <div key={result.id} className="mt-2 pt-2 border-t border-white/5">
+            <div className="flex justify-between text-slate-400">
+              <span>{result.label}</span>
+              <span>{Math.round(result.fps)} fps</span>
+            </div>
+            <div className="text-[10px] text-slate-500 font-mono">
+              avg {result.averageMs.toFixed(1)}ms · p95 {result.p95Ms.toFixed(1)}ms · max {result.maxMs.toFixed(1)}ms · {result.dropped} dropped
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
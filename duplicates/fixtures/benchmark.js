@@ -0,0 +1,81 @@
+// Synthetic catalog for the scroll benchmark.
+//
+// Produces the same { drives, duplicates } shape readCatalog() returns, but
+// at catalog scale and without a database. Seeded, so every run scrolls
+// through the same rows.
+
+import { fileType } from '../format';
+
+export const BENCHMARK_GROUP_COUNT = 200000;
+
+const DRIVE_NAMES = ['Macintosh HD', 'Samsung T7', 'LaCie Rugged', 'SanDisk Extreme', 'Archive Raid', 'SD Backup', 'WD Passport', 'Studio NAS'];
+const FOLDERS = ['Projects', 'Footage', 'Photos/RAW', 'Audio/Stems', 'Exports', 'Archive/2022', 'Archive/2023', 'Clients/Northwind'];
+const STEMS = ['Interview', 'B-Roll', 'Drone', 'Timelapse', 'Session', 'Mix', 'Portrait', 'Landscape', 'Render', 'Backup'];
+const EXTENSIONS = ['mp4', 'mov', 'dng', 'jpg', 'wav', 'aif', 'zip', 'sqlite', 'pdf'];
+
+// mulberry32: tiny, fast and good enough for fixture data
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const driveId = (index) => `BENCH000-0000-4000-8000-${String(index + 1).padStart(12, '0')}`;
+
+export const generateCatalog = ({ groupCount = BENCHMARK_GROUP_COUNT, driveCount = 6, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const now = Math.floor(Date.UTC(2024, 9, 1) / 1000);
+
+  const drives = Array.from({ length: driveCount }, (_, i) => ({
+    id: driveId(i),
+    name: DRIVE_NAMES[i % DRIVE_NAMES.length] + (i >= DRIVE_NAMES.length ? ` ${Math.floor(i / DRIVE_NAMES.length) + 1}` : ''),
+    size: 2000000000000,
+    used: Math.floor(2000000000000 * (0.3 + random() * 0.6)),
+    lastSeen: now,
+    lastScanDate: now - Math.floor(random() * 30 * 86400),
+    fileCount: groupCount,
+    isExcluded: false,
+    isBackup: false,
+    tags: [],
+    type: null,
+  }));
+
+  let locationId = 0;
+  const duplicates = Array.from({ length: groupCount }, (_, i) => {
+    const name = `${pick(random, STEMS)}_${String(i).padStart(6, '0')}.${pick(random, EXTENSIONS)}`;
+    const folder = pick(random, FOLDERS);
+    const copies = 2 + Math.floor(random() * random() * 4);
+    const hash = (i.toString(16).padStart(8, '0') + Math.floor(random() * 0xffffffff).toString(16).padStart(8, '0')).repeat(4);
+
+    // Log-spread sizes from 1MB to ~100GB
+    const size = Math.floor(1000000 * 10 ** (random() * 5));
+
+    const locations = Array.from({ length: copies }, (_, copy) => ({
+      id: ++locationId,
+      // Now and then a second copy lands on the same drive
+      driveId: driveId(copy > 0 && random() < 0.05 ? 0 : Math.floor(random() * driveCount)),
+      relativePath: copy === 0 ? `${folder}/${name}` : `${pick(random, FOLDERS)}/${name}`,
+      modifiedAt: now - Math.floor(random() * 5 * 365 * 86400),
+    }));
+
+    return {
+      id: hash,
+      hash,
+      name,
+      size,
+      type: fileType(name),
+      drives: locations.map(location => location.driveId),
+      locations,
+      modifiedAt: Math.max(...locations.map(location => location.modifiedAt)),
+    };
+  });
+
+  return { drives, duplicates };
+};
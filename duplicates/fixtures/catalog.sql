@@ -0,0 +1,102 @@
+-- Fixture catalog for the duplicates view.
+--
+-- Mirrors the drives/files/settings schema created by DatabaseManager.swift
+-- (the FTS5 table and its triggers are left out; the duplicates view never
+-- queries them). Rebuild the binary copy after editing:
+--
+--   rm -f catalog.sqlite && sqlite3 catalog.sqlite < catalog.sql
+
+CREATE TABLE files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    drive_uuid TEXT NOT NULL,
+    name TEXT NOT NULL,
+    relative_path TEXT NOT NULL,
+    size INTEGER,
+    created_at INTEGER,
+    modified_at INTEGER,
+    is_directory BOOLEAN,
+    hash TEXT,
+    hash_computed_at INTEGER,
+    UNIQUE(drive_uuid, relative_path)
+);
+
+CREATE INDEX idx_files_drive ON files(drive_uuid);
+CREATE INDEX idx_files_modified ON files(modified_at);
+CREATE INDEX idx_files_name ON files(name);
+CREATE INDEX idx_files_path_lookup ON files(drive_uuid, relative_path);
+CREATE INDEX idx_files_hash ON files(hash) WHERE hash IS NOT NULL;
+CREATE INDEX idx_files_unhashed ON files(size, is_directory) WHERE hash IS NULL AND is_directory = 0;
+
+CREATE TABLE drives (
+    uuid TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    last_seen INTEGER,
+    total_capacity INTEGER,
+    used_capacity INTEGER,
+    last_scan_date INTEGER,
+    file_count INTEGER,
+    is_excluded BOOLEAN DEFAULT 0
+);
+
+CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+
+-- 1 MB instead of the 5 MB default so the small-file rows below exercise the cutoff
+INSERT INTO settings (key, value) VALUES ('min_duplicate_file_size', '1000000');
+
+INSERT INTO drives (uuid, name, last_seen, total_capacity, used_capacity, last_scan_date, file_count, is_excluded) VALUES
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Macintosh HD', 1732094100, 1000000000000, 850000000000, 1732094400, 412031, 0),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Samsung T7', 1731951720, 2000000000000, 1200000000000, 1731952200, 98214, 0),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'LaCie Rugged', 1730545380, 4000000000000, 3800000000000, 1730153400, 230877, 0),
+    ('6A05D8E3-93F1-4C6B-A2D4-3E4F5A6B7C04', 'SanDisk Extreme', 1731659400, 1000000000000, 200000000000, 1731659640, 15402, 0),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Archive Raid', 1727704800, 12000000000000, 8400000000000, 1727714700, 1204556, 0),
+    ('1F6D3A82-C7B5-4290-9E1F-5A6B7C8D9E06', 'SD Backup', 1725099120, 256000000000, 120000000000, 1725099600, 3310, 0);
+
+-- Duplicate groups
+INSERT INTO files (drive_uuid, name, relative_path, size, created_at, modified_at, is_directory, hash, hash_computed_at) VALUES
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Project_Titan_Render_v04.mov', 'Users/admin/Movies/Titan/Exports/Project_Titan_Render_v04.mov', 4200000000, 1729794720, 1729794720, 0, 'a1b358983fab57cc4344da9979ec8774b2f5114ed59ea52786b258d04c283624', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Project_Titan_Render_v04.mov', 'Titan/Exports/Project_Titan_Render_v04.mov', 4200000000, 1729794720, 1729794720, 0, 'a1b358983fab57cc4344da9979ec8774b2f5114ed59ea52786b258d04c283624', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Project_Titan_Render_v04.mov', 'Projects/2024/Titan/Exports/Project_Titan_Render_v04.mov', 4200000000, 1729794720, 1729794720, 0, 'a1b358983fab57cc4344da9979ec8774b2f5114ed59ea52786b258d04c283624', 1732095000),
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Q3_Financials_Final.pdf', 'Users/admin/Documents/Finance/Q3_Financials_Final.pdf', 14000000, 1730451900, 1730451900, 0, 'c9615bba10050b424c9d278f093c746343eb906d95521d43860ce18d4542b6d6', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Q3_Financials_Final.pdf', 'Finance/Q3_Financials_Final.pdf', 14000000, 1730451900, 1730451900, 0, 'c9615bba10050b424c9d278f093c746343eb906d95521d43860ce18d4542b6d6', 1732095000),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'IMG_8832_RAW.dng', 'Photos/2024/09/IMG_8832_RAW.dng', 85000000, 1726126860, 1726126860, 0, 'd3d502730a01ed3b766ce5e9b6bade404a0d6f6037507cd68509f5ed725b1c50', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'IMG_8832_RAW.dng', 'Photos/2024/09/IMG_8832_RAW.dng', 85000000, 1726126860, 1726126860, 0, 'd3d502730a01ed3b766ce5e9b6bade404a0d6f6037507cd68509f5ed725b1c50', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Backup_Catalog.db', 'Catalogs/Backup_Catalog.db', 1100000000, 1725059400, 1725059400, 0, 'fbe5ebe870e6a12e3cd5c262b9e076f138a571dea1bf4762c91bb5c5889900dc', 1732095000),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'Backup_Catalog.db', 'Catalogs/Backup_Catalog.db', 1100000000, 1725059400, 1725059400, 0, 'fbe5ebe870e6a12e3cd5c262b9e076f138a571dea1bf4762c91bb5c5889900dc', 1732095000),
+    ('6A05D8E3-93F1-4C6B-A2D4-3E4F5A6B7C04', 'Backup_Catalog.db', 'Catalogs/Backup_Catalog.db', 1100000000, 1725059400, 1725059400, 0, 'fbe5ebe870e6a12e3cd5c262b9e076f138a571dea1bf4762c91bb5c5889900dc', 1732095000),
+    ('1F6D3A82-C7B5-4290-9E1F-5A6B7C8D9E06', 'Backup_Catalog.db', 'Backup_Catalog.db', 1100000000, 1725059400, 1725059400, 0, 'fbe5ebe870e6a12e3cd5c262b9e076f138a571dea1bf4762c91bb5c5889900dc', 1732095000),
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Podcast_Intro_Music.wav', 'Users/admin/Music/Podcast/Podcast_Intro_Music.wav', 120000000, 1728993600, 1728993600, 0, '511151b8776d8054dd274167d86d74e14b7d516087185cc79395aa4e203738d0', 1732095000),
+    ('6A05D8E3-93F1-4C6B-A2D4-3E4F5A6B7C04', 'Podcast_Intro_Music.wav', 'Audio/Podcast_Intro_Music.wav', 120000000, 1728993600, 1728993600, 0, '511151b8776d8054dd274167d86d74e14b7d516087185cc79395aa4e203738d0', 1732095000),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'unused_assets_folder.zip', 'Archive/unused_assets_folder.zip', 3500000000, 1721665200, 1721665200, 0, 'e1393fb63fa9c38e5463e76774a6c504b231e96b60fbae14afee0f2f540a5a84', 1732095000),
+    ('1F6D3A82-C7B5-4290-9E1F-5A6B7C8D9E06', 'unused_assets_folder.zip', 'unused_assets_folder.zip', 3500000000, 1721665200, 1721665200, 0, 'e1393fb63fa9c38e5463e76774a6c504b231e96b60fbae14afee0f2f540a5a84', 1732095000),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'IMG_8833_RAW.dng', 'Photos/2024/09/IMG_8833_RAW.dng', 84500000, 1726126920, 1726126920, 0, '9457f90467eccc6a366b487fce5e93de0f6e7ebd1ee6b3cce27ee75939bf8a3e', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'IMG_8833_RAW.dng', 'Photos/2024/09/IMG_8833_RAW.dng', 84500000, 1726126920, 1726126920, 0, '9457f90467eccc6a366b487fce5e93de0f6e7ebd1ee6b3cce27ee75939bf8a3e', 1732095000),
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'IMG_8833_RAW.dng', 'Users/admin/Pictures/Import/IMG_8833_RAW.dng', 84500000, 1726126920, 1726126920, 0, '9457f90467eccc6a366b487fce5e93de0f6e7ebd1ee6b3cce27ee75939bf8a3e', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Interview_A_Cam.mp4', 'Titan/Footage/Interview_A_Cam.mp4', 2750000000, 1717409700, 1717409700, 0, 'd0cbe7aee3ebf20b7d71fbe007fda544c30c3f64886c56c522137361dcae72ec', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Copy of Interview_A_Cam.mp4', 'Titan/Footage/Copy of Interview_A_Cam.mp4', 2750000000, 1717409700, 1717409700, 0, 'd0cbe7aee3ebf20b7d71fbe007fda544c30c3f64886c56c522137361dcae72ec', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Interview_A_Cam.mp4', 'Projects/2024/Titan/Footage/Interview_A_Cam.mp4', 2750000000, 1717409700, 1717409700, 0, 'd0cbe7aee3ebf20b7d71fbe007fda544c30c3f64886c56c522137361dcae72ec', 1732095000),
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Brand_Guidelines_2024.pdf', 'Users/admin/Documents/Brand/Brand_Guidelines_2024.pdf', 32000000, 1707662880, 1707662880, 0, 'ac6e6f6d99ef42d8787de2b5c49c86ec0be005aab74f2a2067df3abeaae20cfc', 1732095000),
+    ('6A05D8E3-93F1-4C6B-A2D4-3E4F5A6B7C04', 'Brand_Guidelines_2024.pdf', 'Brand/Brand_Guidelines_2024.pdf', 32000000, 1707662880, 1707662880, 0, 'ac6e6f6d99ef42d8787de2b5c49c86ec0be005aab74f2a2067df3abeaae20cfc', 1732095000),
+    ('1F6D3A82-C7B5-4290-9E1F-5A6B7C8D9E06', 'Brand_Guidelines_2024.pdf', 'Brand_Guidelines_2024.pdf', 32000000, 1707662880, 1707662880, 0, 'ac6e6f6d99ef42d8787de2b5c49c86ec0be005aab74f2a2067df3abeaae20cfc', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Session_Mix_Final.aiff', 'Audio/Sessions/Session_Mix_Final.aiff', 640000000, 1716152700, 1716152700, 0, '907461ac4760562bfe1d25618a273a0652cd1b5b13f4eae2955a3462783669ba', 1732095000),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'Session_Mix_Final.aiff', 'Audio/Sessions/Session_Mix_Final.aiff', 640000000, 1716152700, 1716152700, 0, '907461ac4760562bfe1d25618a273a0652cd1b5b13f4eae2955a3462783669ba', 1732095000);
+
+-- Same name on several drives but different content: edited on one drive after the other copy was made
+INSERT INTO files (drive_uuid, name, relative_path, size, created_at, modified_at, is_directory, hash, hash_computed_at) VALUES
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Titan_Budget.xlsx', 'Users/admin/Documents/Finance/Titan_Budget.xlsx', 2400000, 1722470400, 1731412800, 0, '5c2f0e8a7b61d94e3a0f8c1d2b7e6a59f4c3d8e1b0a7f6e5d4c3b2a1908f7e6d', 1732095000),
+    ('1F6D3A82-C7B5-4290-9E1F-5A6B7C8D9E06', 'Titan_Budget.xlsx', 'Finance/Titan_Budget.xlsx', 2150000, 1722470400, 1724065200, 0, '0d9a4b7c2e5f8a1b3c6d9e2f5a8b1c4d7e0f3a6b9c2d5e8f1a4b7c0d3e6f9a2b', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Color_Grade_LUT.cube', 'Titan/Grading/Color_Grade_LUT.cube', 3500000, 1727000000, 1731800000, 0, '7e3b9d1f5a2c8e4b6d0f2a9c7e5b3d1f8a6c4e2b0d9f7a5c3e1b8d6f4a2c0e9b', 1732095000),
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'Color_Grade_LUT.cube', 'Users/admin/Desktop/Color_Grade_LUT.cube', 3500000, 1727000000, 1731800000, 0, '7e3b9d1f5a2c8e4b6d0f2a9c7e5b3d1f8a6c4e2b0d9f7a5c3e1b8d6f4a2c0e9b', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Color_Grade_LUT.cube', 'Projects/2024/Titan/Grading/Color_Grade_LUT.cube', 3480000, 1727000000, 1727600000, 0, 'b4e8f2a6c0d4e8f2a6b0c4d8e2f6a0b4c8d2e6f0a4b8c2d6e0f4a8b2c6d0e4f8', 1732095000);
+
+-- Rows the duplicate query must skip: below the size cutoff, unhashed, unique and directories
+INSERT INTO files (drive_uuid, name, relative_path, size, created_at, modified_at, is_directory, hash, hash_computed_at) VALUES
+    ('8F3C2A10-4B7E-4D21-9C55-1A2B3C4D5E01', 'thumb_0001.jpg', 'Users/admin/Pictures/Import/.thumbs/thumb_0001.jpg', 48000, 1726127100, 1726127100, 0, '47fe25381e9c80788dd511bf72e9b4ad2371164c64c0647713bf494e7b94b064', 1732095000),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'thumb_0001.jpg', 'Photos/2024/09/.thumbs/thumb_0001.jpg', 48000, 1726127100, 1726127100, 0, '47fe25381e9c80788dd511bf72e9b4ad2371164c64c0647713bf494e7b94b064', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Titan_Edit_v12.prproj', 'Titan/Titan_Edit_v12.prproj', 180000000, 1731951000, 1731951000, 0, NULL, NULL),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Titan_Edit_v12.prproj', 'Projects/2024/Titan/Titan_Edit_v12.prproj', 180000000, 1727607600, 1727607600, 0, NULL, NULL),
+    ('C41B7F25-0E6D-4A93-B7C8-2D3E4F5A6B03', 'Wedding_Selects.zip', 'Archive/Wedding_Selects.zip', 2300000000, 1709384400, 1709384400, 0, '4e4a21786865d99eeab3200cd3b2013160cb6e3f114a06978a507a581534dc68', 1732095000),
+    ('2D9E6B44-71A3-4F08-8E12-6C7D8E9F0A02', 'Titan', 'Titan', 0, 1717408800, 1731951000, 1, NULL, NULL),
+    ('E7B2C91D-5A48-4E3F-8D6A-4F5A6B7C8D05', 'Titan', 'Projects/2024/Titan', 0, 1717408800, 1727607600, 1, NULL, NULL);
@@ -0,0 +1,13 @@
+// Drives shared by the policy tests: two source drives, a backup and an
+// offsite backup.
+
+export const drive = (id, overrides = {}) => ({ id, name: id, isBackup: false, tags: [], ...overrides });
+
+export const drives = [
+  drive('mac'),
+  drive('t7'),
+  drive('raid', { isBackup: true }),
+  drive('vault', { isBackup: true, tags: ['offsite'] }),
+];
+
+export const drivesById = new Map(drives.map(d => [d.id, d]));
@@ -0,0 +1,92 @@
+// Stand-in for the indexer's event stream.
+//
+// Replays a recorded stream (events.jsonl: one `{ delay, event, data }` per
+// line, `delay` in ms since the previous event) as server-sent events to
+// every client that connects, from the top each time. Node built-ins only:
+//
+//   node duplicates/fixtures/eventServer.mjs [--port 4180] [--file events.jsonl] [--loop]
+//
+// then point the view at it: <App eventsUrl="http://localhost:4180/events" />
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 4180;
+const DEFAULT_FILE = fileURLToPath(new URL('./events.jsonl', import.meta.url));
+
+// Pause before a looped replay starts over
+const LOOP_DELAY_MS = 3000;
+
+const parseArgs = (args) => {
+  const options = { port: DEFAULT_PORT, file: DEFAULT_FILE, loop: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = Number.parseInt(args[++i], 10);
+    else if (args[i] === '--file') options.file = args[++i];
+    else if (args[i] === '--loop') options.loop = true;
+  }
+  return options;
+};
+
+export const readRecording = (file) => readFileSync(file, 'utf8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: not a JSON event`);
+    }
+  });
+
+const formatEvent = ({ event, data }) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const replay = (response, events, loop) => {
+  let timer = null;
+  let index = 0;
+
+  const next = () => {
+    if (index === events.length) {
+      if (!loop) return;
+      index = 0;
+      timer = setTimeout(next, LOOP_DELAY_MS);
+      return;
+    }
+    const event = events[index++];
+    timer = setTimeout(() => {
+      response.write(formatEvent(event));
+      next();
+    }, event.delay ?? 0);
+  };
+
+  next();
+  return () => clearTimeout(timer);
+};
+
+export const createEventServer = ({ events, loop = false }) => createServer((request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  if (pathname !== '/events') {
+    response.writeHead(404).end();
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  // Don't have EventSource reconnect (and replay everything) straight away
+  response.write('retry: 10000\n\n');
+
+  const stop = replay(response, events, loop);
+  request.on('close', stop);
+});
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const events = readRecording(options.file);
+  createEventServer({ events, loop: options.loop }).listen(options.port, () => {
+    console.log(`Replaying ${events.length} events at http://localhost:${options.port}/events${options.loop ? ' (looping)' : ''}`);
+  });
+}
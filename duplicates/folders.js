@@ -0,0 +1,209 @@
+// Folder-level duplicates.
+//
+// Two folders match where they hold the same file (same hash) at the same
+// path inside them. Candidates come from the duplicate groups: for every
+// pair of copies, walk up both paths for as long as the folder names agree,
+// e.g. "Users/admin/Movies/Titan/Exports/a.mov" and "Titan/Exports/a.mov"
+// suggest Exports <-> Exports and Titan <-> Titan. Matching pairs are then
+// joined into sets, so a folder copied to five drives is one group rather
+// than ten pairs. How much of each set matches needs the folder totals from
+// the catalog (see getFolderTotals()).
+
+// A single shared file is just a file duplicate
+export const MIN_FOLDER_FILES = 2;
+
+// Below this share of bytes the folders are merely related
+export const MIN_MATCH_RATIO = 0.5;
+
+export const parentPath = (path) => {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? '' : path.slice(0, slash);
+};
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+export const folderKey = (driveId, path) => `${driveId}\u0000${path}`;
+
+const keyOf = (folder) => folderKey(folder.driveId, folder.path);
+
+const setId = (folders) => `folder:${folders.map(keyOf).sort().join('|')}`;
+
+// Folder pairs sharing at least MIN_FOLDER_FILES files. `matches` is keyed
+// by path inside the folder so extra copies don't count twice.
+const findFolderPairs = (files) => {
+  const pairs = new Map();
+
+  for (const file of files) {
+    for (let i = 0; i < file.locations.length; i++) {
+      for (let j = i + 1; j < file.locations.length; j++) {
+        const [a, b] = [file.locations[i], file.locations[j]];
+        let pathA = parentPath(a.relativePath);
+        let pathB = parentPath(b.relativePath);
+        let inner = baseName(a.relativePath);
+        if (inner !== baseName(b.relativePath)) continue;
+
+        while (pathA && pathB && baseName(pathA) === baseName(pathB) && !(a.driveId === b.driveId && pathA === pathB)) {
+          const folders = [{ driveId: a.driveId, path: pathA }, { driveId: b.driveId, path: pathB }];
+          const id = setId(folders);
+
+          const pair = pairs.get(id) ?? { folders, matches: new Map() };
+          if (!pair.matches.has(inner)) pair.matches.set(inner, file);
+          pairs.set(id, pair);
+
+          inner = `${baseName(pathA)}/${inner}`;
+          pathA = parentPath(pathA);
+          pathB = parentPath(pathB);
+        }
+      }
+    }
+  }
+
+  return [...pairs.values()].filter(pair => pair.matches.size >= MIN_FOLDER_FILES);
+};
+
+// Sets of matching folders with their shared files, before totals are
+// known. `holdings` maps each folder to the shared paths it holds.
+export const findFolderCandidates = (files) => {
+  const pairs = findFolderPairs(files);
+
+  // Union-find over folder keys
+  const parents = new Map();
+  const root = (key) => {
+    while (parents.get(key) !== key) key = parents.get(key);
+    return key;
+  };
+  for (const pair of pairs) {
+    const [a, b] = pair.folders.map(keyOf);
+    if (!parents.has(a)) parents.set(a, a);
+    if (!parents.has(b)) parents.set(b, b);
+    parents.set(root(a), root(b));
+  }
+
+  const sets = new Map();
+  for (const pair of pairs) {
+    const setKey = root(keyOf(pair.folders[0]));
+    const set = sets.get(setKey) ?? { folders: new Map(), matches: new Map(), holdings: new Map() };
+    sets.set(setKey, set);
+
+    for (const folder of pair.folders) {
+      const key = keyOf(folder);
+      set.folders.set(key, folder);
+      if (!set.holdings.has(key)) set.holdings.set(key, new Set());
+      for (const inner of pair.matches.keys()) set.holdings.get(key).add(inner);
+    }
+    for (const [inner, file] of pair.matches) {
+      if (!set.matches.has(inner)) set.matches.set(inner, file);
+    }
+  }
+
+  return [...sets.values()].map(set => {
+    const folders = [...set.folders.values()].sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : 1));
+    return { id: setId(folders), folders, matches: set.matches, holdings: set.holdings };
+  });
+};
+
+// Every folder the candidates refer to, for looking up totals
+export const candidateFolders = (candidates) => {
+  const folders = new Map();
+  for (const candidate of candidates) {
+    for (const folder of candidate.folders) folders.set(keyOf(folder), folder);
+  }
+  return [...folders.values()];
+};
+
+const sumSizes = (files) => files.reduce((sum, file) => sum + file.size, 0);
+
+// `totals` maps folderKey -> { bytes, fileCount } of every file in the folder
+// that's big enough to be a duplicate (hashed or not). The match ratio is the
+// bytes every folder in the set holds over the bytes in any of them, so one
+// incomplete copy pulls the whole set down.
+export const buildFolderGroups = (candidates, totals) => {
+  const groups = [];
+
+  for (const candidate of candidates) {
+    const files = [...candidate.matches.values()];
+    const sharedBytes = sumSizes(files);
+    let unsharedBytes = 0;
+
+    const folders = candidate.folders.map(folder => {
+      const held = candidate.holdings.get(keyOf(folder));
+      const heldBytes = sumSizes([...held].map(inner => candidate.matches.get(inner)));
+      const total = totals.get(keyOf(folder));
+      const bytes = total?.bytes ?? heldBytes;
+      unsharedBytes += Math.max(bytes - heldBytes, 0);
+      return { ...folder, name: baseName(folder.path), bytes, fileCount: total?.fileCount ?? held.size };
+    });
+
+    const inEveryFolder = [...candidate.matches]
+      .filter(([inner]) => candidate.folders.every(folder => candidate.holdings.get(keyOf(folder)).has(inner)))
+      .map(([, file]) => file);
+    const matchedBytes = sumSizes(inEveryFolder);
+    const totalBytes = sharedBytes + unsharedBytes;
+
+    groups.push({
+      id: candidate.id,
+      name: folders[0].name,
+      folders,
+      fileIds: files.map(file => file.id),
+      matchedCount: files.length,
+      matchedBytes,
+      totalBytes,
+      matchRatio: totalBytes > 0 ? matchedBytes / totalBytes : 1,
+      modifiedAt: files.reduce((latest, file) => Math.max(latest, file.modifiedAt ?? 0), 0),
+    });
+  }
+
+  // Keep the outermost folders: a set is dropped when the set holding all
+  // its parents matches at least as well and so already tells the story
+  const groupByFolderKey = new Map();
+  for (const group of groups) {
+    for (const folder of group.folders) groupByFolderKey.set(keyOf(folder), group);
+  }
+
+  const parentGroup = (group) => {
+    const parentKeys = group.folders.map(folder => folderKey(folder.driveId, parentPath(folder.path)));
+    const parent = groupByFolderKey.get(parentKeys[0]);
+    return parent && parentKeys.every(key => groupByFolderKey.get(key) === parent) ? parent : null;
+  };
+
+  return groups
+    .filter(group => group.matchRatio >= MIN_MATCH_RATIO)
+    .filter(group => {
+      const parent = parentGroup(group);
+      return !parent || parent.matchRatio < MIN_MATCH_RATIO || parent.matchRatio < group.matchRatio;
+    })
+    .sort((a, b) => b.matchedBytes - a.matchedBytes);
+};
+
+// Splits the (filtered, sorted) file list into matched folders and the files
+// outside them. A folder only shows while some of its files are in the list,
+// and its files keep the list's order.
+export const groupByFolder = (files, folders) => {
+  const order = new Map(files.map((file, i) => [file.id, i]));
+  const covered = new Set();
+  const folderRows = [];
+
+  for (const folder of folders) {
+    folder.fileIds.forEach(id => covered.add(id));
+    const indexes = folder.fileIds.filter(id => order.has(id)).map(id => order.get(id)).sort((a, b) => a - b);
+    if (indexes.length > 0) folderRows.push({ folder, files: indexes.map(i => files[i]) });
+  }
+
+  return { folderRows, looseFiles: files.filter(file => !covered.has(file.id)) };
+};
+
+// Flat rows for the windowed list: diverged files, then folders, then the
+// rest. A file inside an expanded folder gets a row id scoped to that
+// folder, since it can sit in more than one.
+export const buildListRows = ({ folderRows, looseFiles }, expandedIds, diverged = []) => {
+  const rows = diverged.map(group => ({ id: group.id, kind: 'diverged', group }));
+
+  for (const { folder, files } of folderRows) {
+    rows.push({ id: folder.id, kind: 'folder', folder, files });
+    if (!expandedIds.has(folder.id)) continue;
+    for (const file of files) rows.push({ id: `${folder.id}/${file.id}`, kind: 'file', file, folderId: folder.id });
+  }
+  for (const file of looseFiles) rows.push({ id: file.id, kind: 'file', file, folderId: null });
+
+  return rows;
+};
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import { buildFolderGroups, buildListRows, candidateFolders, findFolderCandidates, folderKey, groupByFolder } from './folders';
+
+const MB = 1000000;
+
+let nextLocationId = 1;
+
+// A duplicate group with one copy per `driveId:path`
+const file = (id, size, paths) => ({
+  id,
+  name: paths[0].slice(paths[0].lastIndexOf('/') + 1),
+  size,
+  modifiedAt: 1700000000,
+  locations: paths.map(entry => {
+    const [driveId, relativePath] = entry.split(':');
+    return { id: nextLocationId++, driveId, relativePath };
+  }),
+});
+
+// Totals as if each folder held only the files given
+const totalsFor = (candidates, files) => {
+  const totals = new Map(candidateFolders(candidates).map(folder => [folderKey(folder.driveId, folder.path), { bytes: 0, fileCount: 0 }]));
+  for (const f of files) {
+    for (const location of f.locations) {
+      for (const [key, total] of totals) {
+        const [driveId, path] = key.split('\u0000');
+        if (location.driveId === driveId && location.relativePath.startsWith(`${path}/`)) {
+          total.bytes += f.size;
+          total.fileCount += 1;
+        }
+      }
+    }
+  }
+  return totals;
+};
+
+const groupsFor = (files, extraTotals = []) => {
+  const candidates = findFolderCandidates(files);
+  const totals = totalsFor(candidates, files);
+  for (const [driveId, path, bytes] of extraTotals) {
+    const total = totals.get(folderKey(driveId, path));
+    total.bytes += bytes;
+    total.fileCount += 1;
+  }
+  return buildFolderGroups(candidates, totals);
+};
+
+const everywhere = (path) => ['a', 'b', 'c', 'd'].map(driveId => `${driveId}:${path}`);
+
+describe('findFolderCandidates', () => {
+  it('joins a folder copied to several drives into one set', () => {
+    const files = [
+      file('render', 40 * MB, everywhere('Titan/Exports/render.mov')),
+      file('interview', 30 * MB, everywhere('Titan/Footage/interview.mp4')),
+    ];
+    const titan = findFolderCandidates(files).filter(candidate => candidate.folders[0].path === 'Titan');
+
+    expect(titan).toHaveLength(1);
+    expect(titan[0].folders.map(folder => folder.driveId)).toEqual(['a', 'b', 'c', 'd']);
+    expect([...titan[0].matches.keys()].sort()).toEqual(['Exports/render.mov', 'Footage/interview.mp4']);
+  });
+
+  it('ignores folders sharing a single file', () => {
+    expect(findFolderCandidates([file('render', 40 * MB, ['a:Titan/render.mov', 'b:Titan/render.mov'])])).toEqual([]);
+  });
+
+  it('stops walking up where folder names differ', () => {
+    const files = [
+      file('x', 10 * MB, ['a:Users/admin/Titan/x.mov', 'b:Projects/Titan/x.mov']),
+      file('y', 10 * MB, ['a:Users/admin/Titan/y.mov', 'b:Projects/Titan/y.mov']),
+    ];
+    expect(findFolderCandidates(files).map(candidate => candidate.folders.map(folder => folder.path))).toEqual([
+      ['Users/admin/Titan', 'Projects/Titan'],
+    ]);
+  });
+});
+
+describe('buildFolderGroups', () => {
+  it('shows a folder on four drives as one row with every file once', () => {
+    const files = [
+      file('render', 40 * MB, everywhere('Titan/Exports/render.mov')),
+      file('interview', 30 * MB, everywhere('Titan/Footage/interview.mp4')),
+    ];
+    const groups = groupsFor(files);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({
+      name: 'Titan',
+      fileIds: ['render', 'interview'],
+      matchedCount: 2,
+      matchedBytes: 70 * MB,
+      totalBytes: 70 * MB,
+      matchRatio: 1,
+    });
+    expect(groups[0].folders).toHaveLength(4);
+  });
+
+  it('rates a set by what every folder holds', () => {
+    const files = [
+      file('render', 40 * MB, everywhere('Titan/render.mov')),
+      file('interview', 30 * MB, everywhere('Titan/interview.mp4')),
+      // Missing from d
+      file('grade', 30 * MB, ['a:Titan/grade.cube', 'b:Titan/grade.cube', 'c:Titan/grade.cube']),
+    ];
+    const [group] = groupsFor(files);
+
+    expect(group.folders).toHaveLength(4);
+    expect(group.matchedCount).toBe(3);
+    expect(group.matchedBytes).toBe(70 * MB);
+    expect(group.totalBytes).toBe(100 * MB);
+    expect(group.matchRatio).toBeCloseTo(0.7);
+  });
+
+  it('counts files only one folder has against the match', () => {
+    const files = [
+      file('render', 40 * MB, ['a:Titan/render.mov', 'b:Titan/render.mov']),
+      file('interview', 30 * MB, ['a:Titan/interview.mp4', 'b:Titan/interview.mp4']),
+    ];
+    const [group] = groupsFor(files, [['a', 'Titan', 30 * MB]]);
+
+    expect(group.totalBytes).toBe(100 * MB);
+    expect(group.matchRatio).toBeCloseTo(0.7);
+  });
+
+  it('drops folders below the match threshold', () => {
+    const files = [
+      file('render', 4 * MB, ['a:Titan/render.mov', 'b:Titan/render.mov']),
+      file('interview', 3 * MB, ['a:Titan/interview.mp4', 'b:Titan/interview.mp4']),
+    ];
+    expect(groupsFor(files, [['a', 'Titan', 10 * MB]])).toEqual([]);
+  });
+
+  it('keeps the outermost folders when they match as well', () => {
+    const files = [
+      file('render', 40 * MB, everywhere('Titan/Exports/render.mov')),
+      file('master', 30 * MB, everywhere('Titan/Exports/master.mov')),
+    ];
+    expect(groupsFor(files).map(group => group.name)).toEqual(['Titan']);
+  });
+
+  it('keeps a subfolder that matches better than its parent', () => {
+    const files = [
+      file('render', 40 * MB, ['a:Titan/Exports/render.mov', 'b:Titan/Exports/render.mov']),
+      file('master', 30 * MB, ['a:Titan/Exports/master.mov', 'b:Titan/Exports/master.mov']),
+    ];
+    const names = groupsFor(files, [['a', 'Titan', 20 * MB]]).map(group => group.name);
+    expect(names.sort()).toEqual(['Exports', 'Titan']);
+  });
+});
+
+describe('groupByFolder', () => {
+  it('takes folder files out of the loose list, keeping the list order', () => {
+    const folder = { id: 'folder:x', fileIds: ['b', 'a'] };
+    const files = [{ id: 'a' }, { id: 'c' }, { id: 'b' }];
+    const { folderRows, looseFiles } = groupByFolder(files, [folder]);
+
+    expect(folderRows).toEqual([{ folder, files: [{ id: 'a' }, { id: 'b' }] }]);
+    expect(looseFiles).toEqual([{ id: 'c' }]);
+    expect(buildListRows({ folderRows, looseFiles }, new Set(['folder:x'])).map(row => row.id)).toEqual([
+      'folder:x', 'folder:x/a', 'folder:x/b', 'c',
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+// Display helpers for the duplicates view. Sizes and dates stay numeric in
+// state (bytes / unix seconds) and are only turned into strings here.
+
+const BYTE_UNITS = ['bytes', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+// Decimal units, like ByteCountFormatter's .file style on the Swift side
+export const formatBytes = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes < 1000) return `${bytes} ${bytes === 1 ? 'byte' : 'bytes'}`;
+
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < BYTE_UNITS.length - 1) {
+    value /= 1000;
+    unit += 1;
+  }
+  const digits = value >= 100 || Number.isInteger(value) ? 0 : 1;
+  return `${value.toFixed(digits)} ${BYTE_UNITS[unit]}`;
+};
+
+const dateFormatter = new Intl.DateTimeFormat('en-US', { month: 'short', day: '2-digit', year: 'numeric' });
+
+// Unix seconds -> 'Oct 24, 2024'
+export const formatDate = (seconds) => {
+  if (seconds == null) return '—';
+  return dateFormatter.format(new Date(seconds * 1000));
+};
+
+const dateTimeFormatter = new Intl.DateTimeFormat('en-US', { month: 'short', day: '2-digit', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Unix seconds -> 'Oct 24, 2024, 3:12 PM', for telling versions apart
+export const formatDateTime = (seconds) => {
+  if (seconds == null) return '—';
+  return dateTimeFormatter.format(new Date(seconds * 1000));
+};
+
+const relativeFormatter = new Intl.RelativeTimeFormat('en-US', { numeric: 'auto' });
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 86400],
+  ['month', 30 * 86400],
+  ['week', 7 * 86400],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+];
+
+// Unix seconds -> '3 days ago', like RelativeDateTimeFormatter
+export const formatRelativeTime = (seconds, now = Date.now() / 1000) => {
+  if (seconds == null) return 'never';
+  const elapsed = now - seconds;
+  const [unit, size] = RELATIVE_UNITS.find(([, unitSize]) => Math.abs(elapsed) >= unitSize) ?? [];
+  if (!unit) return 'just now';
+  return relativeFormatter.format(-Math.round(elapsed / size), unit);
+};
+
+const countFormatter = new Intl.NumberFormat('en-US');
+
+export const formatCount = (count) => (count == null ? '—' : countFormatter.format(count));
+
+export const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const FILE_TYPES = {
+  video: ['mov', 'mp4', 'avi', 'mkv', 'm4v', 'mxf'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'heic', 'tif', 'tiff', 'dng', 'cr2', 'cr3', 'nef', 'arw', 'raf'],
+  audio: ['mp3', 'wav', 'aiff', 'aif', 'm4a', 'flac'],
+  db: ['db', 'sqlite'],
+  zip: ['zip', 'rar', '7z', 'tar', 'gz', 'dmg'],
+};
+
+export const fileExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Same buckets as MultiDriveFile.fileType, plus archives
+export const fileType = (name) => {
+  const ext = fileExtension(name);
+  const match = Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].includes(ext));
+  return match || 'doc';
+};
@@ -0,0 +1,45 @@
+// Drive connection state and how far the catalog can be trusted.
+//
+// The catalog is only as current as each drive's last scan. An unplugged
+// backup that was last scanned months ago may no longer hold what the index
+// says it does, and a copy on a drive scanned before the source copy last
+// changed may be an older version of the file.
+
+// The catalog doesn't record mounts. Without a live list of connected drives,
+// a drive counts as connected if DriveMonitor touched `last_seen` recently.
+export const CONNECTED_WINDOW_SECONDS = 5 * 60;
+
+// A backup index older than this no longer vouches for "safe"
+export const STALE_BACKUP_SECONDS = 30 * 86400;
+
+export const isDriveConnected = (drive, connectedDriveIds, now) => {
+  if (connectedDriveIds) return connectedDriveIds.has(drive.id);
+  return drive.lastSeen != null && now - drive.lastSeen <= CONNECTED_WINDOW_SECONDS;
+};
+
+// Same as DriveInfo.isIndexed
+export const isIndexed = (drive) => drive.lastScanDate != null && !drive.isExcluded;
+
+export const isBackupIndexStale = (drive, now, maxAge = STALE_BACKUP_SECONDS) => (
+  Boolean(drive.isBackup) && (!isIndexed(drive) || now - drive.lastScanDate > maxAge)
+);
+
+// Copies on drives that haven't been rescanned since the newest source copy
+// was modified. The newest source copy itself is never stale; if every copy
+// sits on a backup drive there is no source to compare against.
+export const staleLocationIds = (file, drivesById) => {
+  const isSource = (location) => !drivesById.get(location.driveId)?.isBackup;
+  const sourceModifiedAt = Math.max(
+    ...file.locations.filter(isSource).map(location => location.modifiedAt ?? -Infinity)
+  );
+
+  const stale = new Set();
+  if (!Number.isFinite(sourceModifiedAt)) return stale;
+
+  for (const location of file.locations) {
+    if (isSource(location) && location.modifiedAt === sourceModifiedAt) continue;
+    const scannedAt = drivesById.get(location.driveId)?.lastScanDate;
+    if (scannedAt == null || scannedAt < sourceModifiedAt) stale.add(location.id);
+  }
+  return stale;
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { CONNECTED_WINDOW_SECONDS, STALE_BACKUP_SECONDS, isBackupIndexStale, isDriveConnected, isIndexed, staleLocationIds } from './freshness';
+import { drive } from './fixtures/drives';
+
+const now = 1700000000;
+
+describe('isDriveConnected', () => {
+  it('trusts a live list of connected drives', () => {
+    const t7 = drive('t7', { lastSeen: now });
+    expect(isDriveConnected(t7, new Set(['mac']), now)).toBe(false);
+    expect(isDriveConnected(drive('mac'), new Set(['mac']), now)).toBe(true);
+  });
+
+  it('falls back to when the drive was last seen', () => {
+    expect(isDriveConnected(drive('t7', { lastSeen: now - CONNECTED_WINDOW_SECONDS }), null, now)).toBe(true);
+    expect(isDriveConnected(drive('t7', { lastSeen: now - CONNECTED_WINDOW_SECONDS - 1 }), null, now)).toBe(false);
+    expect(isDriveConnected(drive('t7', { lastSeen: null }), null, now)).toBe(false);
+  });
+});
+
+describe('isBackupIndexStale', () => {
+  const raid = (overrides) => drive('raid', { isBackup: true, lastScanDate: now, isExcluded: false, ...overrides });
+
+  it('treats a backup never indexed as stale', () => {
+    expect(isIndexed(raid({ lastScanDate: null }))).toBe(false);
+    expect(isBackupIndexStale(raid({ lastScanDate: null }), now)).toBe(true);
+    expect(isBackupIndexStale(raid({ isExcluded: true }), now)).toBe(true);
+  });
+
+  it('goes stale after the maximum age', () => {
+    expect(isBackupIndexStale(raid({ lastScanDate: now - STALE_BACKUP_SECONDS }), now)).toBe(false);
+    expect(isBackupIndexStale(raid({ lastScanDate: now - STALE_BACKUP_SECONDS - 1 }), now)).toBe(true);
+    expect(isBackupIndexStale(raid({ lastScanDate: now - 100 }), now, 50)).toBe(true);
+  });
+
+  it('never flags a source drive', () => {
+    expect(isBackupIndexStale(drive('t7', { lastScanDate: null }), now)).toBe(false);
+  });
+});
+
+describe('staleLocationIds', () => {
+  const drivesById = new Map([
+    drive('mac', { lastScanDate: 500 }),
+    drive('t7', { lastScanDate: 100 }),
+    drive('raid', { isBackup: true, lastScanDate: 100 }),
+    drive('vault', { isBackup: true, lastScanDate: 600 }),
+    drive('new', { isBackup: true, lastScanDate: null }),
+  ].map(d => [d.id, d]));
+
+  const file = (copies) => ({ locations: copies.map(([id, driveId, modifiedAt]) => ({ id, driveId, modifiedAt })) });
+
+  it('flags copies on drives scanned before the newest source copy changed', () => {
+    const f = file([['mac', 'mac', 400], ['raid', 'raid', 100], ['vault', 'vault', 100], ['new', 'new', 100]]);
+    expect([...staleLocationIds(f, drivesById)]).toEqual(['raid', 'new']);
+  });
+
+  it('skips the newest source copy even on an unscanned drive', () => {
+    const f = file([['t7', 't7', 400], ['vault', 'vault', 400]]);
+    expect([...staleLocationIds(f, drivesById)]).toEqual([]);
+  });
+
+  it('flags an older source copy like any other', () => {
+    const f = file([['mac', 'mac', 450], ['t7', 't7', 50]]);
+    expect([...staleLocationIds(f, drivesById)]).toEqual(['t7']);
+  });
+
+  it('has nothing to compare against without a source copy', () => {
+    const f = file([['raid', 'raid', 400], ['vault', 'vault', 100]]);
+    expect(staleLocationIds(f, drivesById).size).toBe(0);
+  });
+});
@@ -0,0 +1,184 @@
+// Live updates from the indexer.
+//
+// While HashWorker runs, new hashes turn single files into duplicate groups
+// (and rescans move or remove copies), so the catalog snapshot goes stale.
+// The indexer side publishes a server-sent event stream with one named event
+// per change, each carrying JSON:
+//
+//   progress        HashProgress: { filesHashed, totalFiles, isComplete, currentFile }
+//   group-added     { group }  in the getDuplicateGroups() shape
+//   group-changed   { group }  (hash, type, drives and modifiedAt are rebuilt
+//                              from id, name and locations)
+//   group-removed   { id }     the group's hash
+//   drive-changed   { drive }  in the getDrives() shape
+//
+// Events that don't have this shape are dropped on arrival. Only duplicate
+// groups and drives are live: folder matches, diverged files and single-copy
+// totals need whole catalog queries, so they stay as they were when the
+// catalog was read.
+//
+// fixtures/eventServer.mjs replays a recorded stream for testing.
+
+import { fileType } from './format';
+
+export const GROUP_EVENTS = ['group-added', 'group-changed', 'group-removed'];
+export const INDEXER_EVENTS = ['progress', ...GROUP_EVENTS, 'drive-changed'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+const isLocation = (location) => isPlainObject(location) &&
+  (typeof location.id === 'number' || typeof location.id === 'string') &&
+  typeof location.driveId === 'string' && typeof location.relativePath === 'string' &&
+  (location.modifiedAt == null || Number.isFinite(location.modifiedAt));
+
+const isGroup = (group) => isPlainObject(group) &&
+  typeof group.id === 'string' && typeof group.name === 'string' && isCount(group.size) &&
+  Array.isArray(group.locations) && group.locations.length > 0 && group.locations.every(isLocation);
+
+// Catalog fields a drive event may carry, with the check for each. Backup
+// role, tags and type are the user's and never come from the indexer.
+const DRIVE_FIELDS = {
+  name: value => typeof value === 'string',
+  size: value => value === null || isCount(value),
+  used: value => value === null || isCount(value),
+  lastSeen: value => value === null || Number.isFinite(value),
+  lastScanDate: value => value === null || Number.isFinite(value),
+  fileCount: value => value === null || isCount(value),
+  isExcluded: value => typeof value === 'boolean',
+};
+
+const isDrive = (drive) => isPlainObject(drive) && typeof drive.id === 'string' &&
+  Object.entries(DRIVE_FIELDS).every(([field, isValid]) => !(field in drive) || isValid(drive[field]));
+
+const VALIDATORS = {
+  progress: data => isCount(data.filesHashed) && isCount(data.totalFiles) && typeof data.isComplete === 'boolean',
+  'group-added': data => isGroup(data.group),
+  'group-changed': data => isGroup(data.group),
+  'group-removed': data => typeof data.id === 'string',
+  'drive-changed': data => isDrive(data.drive),
+};
+
+export const isValidEvent = ({ type, data }) => Boolean(VALIDATORS[type]) && isPlainObject(data) && VALIDATORS[type](data);
+
+// Same as HashProgress.percentage
+export const progressPercentage = (progress) => (
+  progress.totalFiles > 0 ? (progress.filesHashed / progress.totalFiles) * 100 : 0
+);
+
+// Rebuilds the group the way getDuplicateGroups() does from the fields the
+// event was checked for, keeping only the copies on drives in
+// `knownDriveIds`. Null if that leaves fewer than two (it's not a duplicate
+// among the drives we know).
+const toGroup = (group, knownDriveIds) => {
+  const locations = group.locations
+    .filter(location => knownDriveIds.has(location.driveId))
+    .map(({ id, driveId, relativePath, modifiedAt = null }) => ({ id, driveId, relativePath, modifiedAt }));
+  if (locations.length < 2) return null;
+
+  const dates = locations.map(location => location.modifiedAt).filter(date => date != null);
+  return {
+    id: group.id,
+    hash: group.id,
+    name: group.name,
+    size: group.size,
+    type: fileType(group.name),
+    drives: locations.map(location => location.driveId),
+    locations,
+    modifiedAt: dates.length > 0 ? Math.max(...dates) : null,
+  };
+};
+
+// Applies a batch of group events. Changed groups keep their place in the
+// array and new ones go on the end; the list's sort decides where they show.
+export const applyGroupEvents = (groups, events, knownDriveIds) => {
+  const changes = new Map();
+  for (const { type, data } of events) {
+    if (type === 'group-removed') changes.set(data.id, null);
+    else changes.set(data.group.id, toGroup(data.group, knownDriveIds));
+  }
+
+  const next = [];
+  for (const group of groups) {
+    if (!changes.has(group.id)) {
+      next.push(group);
+      continue;
+    }
+    const update = changes.get(group.id);
+    if (update) next.push(update);
+    changes.delete(group.id);
+  }
+  for (const group of changes.values()) {
+    if (group) next.push(group);
+  }
+  return next;
+};
+
+// Same defaults as getDrives() for what the event leaves out
+const newDrive = (id) => ({
+  id,
+  name: id,
+  size: null,
+  used: null,
+  lastSeen: null,
+  lastScanDate: null,
+  fileCount: null,
+  isExcluded: false,
+  isBackup: false,
+  tags: [],
+  type: null,
+});
+
+const catalogFields = (update) => Object.fromEntries(
+  Object.keys(DRIVE_FIELDS).filter(field => field in update).map(field => [field, update[field]])
+);
+
+// Updates drives with the catalog fields each event carries; fields it
+// leaves out keep their value. Drives not seen before come back in `added`
+// for the caller to dress with the saved settings.
+export const applyDriveEvents = (drives, events) => {
+  const updates = new Map();
+  for (const { data } of events) {
+    updates.set(data.drive.id, { ...updates.get(data.drive.id), ...catalogFields(data.drive) });
+  }
+
+  const next = drives.map(drive => {
+    const update = updates.get(drive.id);
+    if (!update) return drive;
+    updates.delete(drive.id);
+    return { ...drive, ...update };
+  });
+  const added = [...updates].map(([id, update]) => ({ ...newDrive(id), ...update }));
+  return { drives: next, added };
+};
+
+// Subscribes to the stream. `onEvent({ type, data })` is called for each
+// event and `onStatus` with 'connecting' | 'open' | 'error' (EventSource
+// reconnects on its own after an error). Returns an unsubscribe function.
+export const subscribeToIndexer = (url, { onEvent, onStatus }, EventSourceImpl = globalThis.EventSource) => {
+  if (!EventSourceImpl) {
+    onStatus('error');
+    return () => {};
+  }
+
+  const source = new EventSourceImpl(url);
+  onStatus('connecting');
+  source.onopen = () => onStatus('open');
+  source.onerror = () => onStatus(source.readyState === 2 ? 'error' : 'connecting');
+
+  for (const type of INDEXER_EVENTS) {
+    source.addEventListener(type, (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.data);
+      } catch {
+        // Malformed event; skip it rather than drop the stream
+        return;
+      }
+      if (isValidEvent({ type, data })) onEvent({ type, data });
+    });
+  }
+
+  return () => source.close();
+};
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest';
+import { applyDriveEvents, applyGroupEvents, isValidEvent, progressPercentage, subscribeToIndexer } from './indexerEvents';
+
+const location = (id, driveId) => ({ id, driveId, relativePath: `Projects/${id}.mov`, modifiedAt: 1700000000 });
+
+const group = (id, driveIds, overrides = {}) => {
+  const locations = driveIds.map((driveId, i) => location(`${id}-${i}`, driveId));
+  return { id, hash: id, name: `${id}.mov`, size: 1000, type: 'video', drives: driveIds, locations, modifiedAt: 1700000000, ...overrides };
+};
+
+const known = new Set(['a', 'b', 'c']);
+
+describe('isValidEvent', () => {
+  it('accepts the documented shapes', () => {
+    expect(isValidEvent({ type: 'progress', data: { filesHashed: 1, totalFiles: 2, isComplete: false, currentFile: 'x' } })).toBe(true);
+    expect(isValidEvent({ type: 'group-added', data: { group: group('g', ['a', 'b']) } })).toBe(true);
+    expect(isValidEvent({ type: 'group-removed', data: { id: 'g' } })).toBe(true);
+    expect(isValidEvent({ type: 'drive-changed', data: { drive: { id: 'a', name: 'Samsung T7', lastSeen: 1700000000 } } })).toBe(true);
+  });
+
+  it.each([
+    ['an unknown type', { type: 'drive-removed', data: { id: 'a' } }],
+    ['no payload', { type: 'group-removed', data: null }],
+    ['a group without copies', { type: 'group-added', data: { group: group('g', []) } }],
+    ['a copy without a drive', { type: 'group-changed', data: { group: group('g', ['a', null]) } }],
+    ['a copy with a bad date', { type: 'group-changed', data: { group: { ...group('g', ['a', 'b']), locations: [location('x', 'a'), { ...location('y', 'b'), modifiedAt: 'today' }] } } }],
+    ['a drive without an id', { type: 'drive-changed', data: { drive: { name: 'Samsung T7' } } }],
+    ['a drive field of the wrong type', { type: 'drive-changed', data: { drive: { id: 'a', name: 7 } } }],
+    ['progress without counts', { type: 'progress', data: { isComplete: true } }],
+  ])('rejects %s', (_, event) => {
+    expect(isValidEvent(event)).toBe(false);
+  });
+});
+
+describe('applyGroupEvents', () => {
+  it('adds, changes and removes groups in place', () => {
+    const groups = [group('x', ['a', 'b']), group('y', ['a', 'b']), group('z', ['a', 'c'])];
+    const changed = group('y', ['a', 'b', 'c']);
+    const added = group('w', ['b', 'c']);
+
+    const next = applyGroupEvents(groups, [
+      { type: 'group-added', data: { group: added } },
+      { type: 'group-changed', data: { group: changed } },
+      { type: 'group-removed', data: { id: 'x' } },
+    ], known);
+
+    expect(next).toEqual([changed, groups[2], added]);
+    expect(next[1]).toBe(groups[2]);
+  });
+
+  it('leaves out copies on unknown drives', () => {
+    const [next] = applyGroupEvents([], [{ type: 'group-added', data: { group: group('g', ['a', 'new', 'b']) } }], known);
+    expect(next.drives).toEqual(['a', 'b']);
+    expect(next.locations.map(l => l.driveId)).toEqual(['a', 'b']);
+  });
+
+  it('rebuilds hash, type, drives and date from the rest of the group', () => {
+    const sent = {
+      ...group('g', ['a', 'b', 'new']),
+      hash: 'other', type: 'db', drives: ['x'], modifiedAt: 'yesterday', extra: true,
+    };
+    sent.locations[0].modifiedAt = 1800000000;
+    sent.locations[1].modifiedAt = null;
+    // Only on the unknown drive, so it doesn't count
+    sent.locations[2].modifiedAt = 1900000000;
+
+    const [next] = applyGroupEvents([], [{ type: 'group-added', data: { group: sent } }], known);
+    expect(next).toEqual({
+      id: 'g', hash: 'g', name: 'g.mov', size: 1000, type: 'video', drives: ['a', 'b'],
+      locations: [sent.locations[0], sent.locations[1]], modifiedAt: 1800000000,
+    });
+  });
+
+  it('drops a group with fewer than two known copies', () => {
+    const groups = [group('g', ['a', 'b'])];
+    expect(applyGroupEvents(groups, [{ type: 'group-changed', data: { group: group('g', ['a', 'new']) } }], known)).toEqual([]);
+  });
+
+  it('uses the last event for a group in the batch', () => {
+    const next = applyGroupEvents([], [
+      { type: 'group-added', data: { group: group('g', ['a', 'b']) } },
+      { type: 'group-removed', data: { id: 'g' } },
+    ], known);
+    expect(next).toEqual([]);
+  });
+});
+
+describe('applyDriveEvents', () => {
+  const drive = { id: 'a', name: 'Samsung T7', size: 2000, used: 500, lastSeen: 100, lastScanDate: 100, fileCount: 10, isExcluded: false, isBackup: true, tags: ['offsite'], type: 'ssd' };
+
+  it('only updates the fields an event carries', () => {
+    const { drives, added } = applyDriveEvents([drive], [{ type: 'drive-changed', data: { drive: { id: 'a', lastSeen: 200, fileCount: 12 } } }]);
+    expect(drives).toEqual([{ ...drive, lastSeen: 200, fileCount: 12 }]);
+    expect(added).toEqual([]);
+  });
+
+  it('keeps the user\'s role, tags and type', () => {
+    const { drives } = applyDriveEvents([drive], [{ type: 'drive-changed', data: { drive: { id: 'a', isBackup: false, tags: [], type: null } } }]);
+    expect(drives).toEqual([drive]);
+  });
+
+  it('returns new drives with the catalog defaults', () => {
+    const { drives, added } = applyDriveEvents([drive], [
+      { type: 'drive-changed', data: { drive: { id: 'b', name: 'LaCie Rugged' } } },
+      { type: 'drive-changed', data: { drive: { id: 'b', lastSeen: 300 } } },
+    ]);
+    expect(drives).toEqual([drive]);
+    expect(added).toEqual([{
+      id: 'b', name: 'LaCie Rugged', size: null, used: null, lastSeen: 300, lastScanDate: null, fileCount: null,
+      isExcluded: false, isBackup: false, tags: [], type: null,
+    }]);
+  });
+});
+
+describe('progressPercentage', () => {
+  it('is zero before the total is known', () => {
+    expect(progressPercentage({ filesHashed: 0, totalFiles: 0 })).toBe(0);
+    expect(progressPercentage({ filesHashed: 1, totalFiles: 4 })).toBe(25);
+  });
+});
+
+describe('subscribeToIndexer', () => {
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = new Map();
+      FakeEventSource.last = this;
+    }
+
+    addEventListener(type, listener) {
+      this.listeners.set(type, listener);
+    }
+
+    emit(type, data) {
+      this.listeners.get(type)({ data });
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+
+  it('passes on valid events and skips the rest', () => {
+    const events = [];
+    const statuses = [];
+    const unsubscribe = subscribeToIndexer('/events', { onEvent: e => events.push(e), onStatus: s => statuses.push(s) }, FakeEventSource);
+    const source = FakeEventSource.last;
+
+    source.emit('group-removed', '{"id": "g"}');
+    source.emit('group-removed', '{"id": 7}');
+    source.emit('drive-changed', 'not json');
+    unsubscribe();
+
+    expect(events).toEqual([{ type: 'group-removed', data: { id: 'g' } }]);
+    expect(statuses).toEqual(['connecting']);
+    expect(source.closed).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+// Where each copy lives, and the per-copy actions in an expanded row.
+//
+// Drives mount under /Volumes by name on macOS (the boot drive too, as a
+// link to /), which is how DriveMonitor finds them, so that's the path a
+// copy is shown, copied and revealed by.
+
+export const volumePath = (drive, location) => `/Volumes/${drive?.name ?? location.driveId}/${location.relativePath}`;
+
+export const HASH_PREFIX_LENGTH = 10;
+
+export const hashPrefix = (hash) => (hash ? hash.slice(0, HASH_PREFIX_LENGTH) : '—');
+
+// Resolves true once the text is on the clipboard. Falls back to a hidden
+// textarea where the async clipboard API is missing or not allowed.
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+      return document.execCommand('copy');
+    } catch {
+      return false;
+    } finally {
+      textarea.remove();
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// Drive overlap: how much duplicate data each pair of drives shares.
+//
+// Every duplicate group adds its size once to each pair of distinct drives
+// holding it. Groups whose copies all sit on one drive exist nowhere else;
+// they're counted on the diagonal as that drive's exclusive files.
+
+export const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+export const buildOverlap = (files) => {
+  const cells = new Map(); // pairKey -> { count, bytes }; a|a holds exclusives
+  let maxBytes = 0;
+
+  const add = (key, size) => {
+    const cell = cells.get(key) ?? { count: 0, bytes: 0 };
+    cell.count += 1;
+    cell.bytes += size;
+    cells.set(key, cell);
+    maxBytes = Math.max(maxBytes, cell.bytes);
+  };
+
+  for (const file of files) {
+    const driveIds = [...new Set(file.drives)];
+    if (driveIds.length === 1) {
+      add(pairKey(driveIds[0], driveIds[0]), file.size);
+      continue;
+    }
+    for (let i = 0; i < driveIds.length; i++) {
+      for (let j = i + 1; j < driveIds.length; j++) {
+        add(pairKey(driveIds[i], driveIds[j]), file.size);
+      }
+    }
+  }
+
+  return {
+    cells,
+    maxBytes,
+    cellFor: (a, b) => cells.get(pairKey(a, b)) ?? { count: 0, bytes: 0 },
+  };
+};
+
+// List filter for a clicked cell: files on both drives, or for the diagonal,
+// files found only on that drive
+export const matchesPair = (file, [a, b]) => (
+  a === b
+    ? file.drives.every(driveId => driveId === a)
+    : file.drives.includes(a) && file.drives.includes(b)
+);
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { buildOverlap, matchesPair, pairKey } from './overlap';
+
+const file = (id, driveIds, size = 100) => ({ id, size, drives: driveIds });
+
+describe('buildOverlap', () => {
+  const files = [
+    file('a', ['mac', 't7', 'raid'], 100),
+    file('b', ['t7', 'mac'], 50),
+    // Two copies on one drive
+    file('c', ['mac', 'mac'], 30),
+  ];
+  const overlap = buildOverlap(files);
+
+  it('adds each file once to every pair of drives holding it', () => {
+    expect(overlap.cellFor('mac', 't7')).toEqual({ count: 2, bytes: 150 });
+    expect(overlap.cellFor('t7', 'raid')).toEqual({ count: 1, bytes: 100 });
+    expect(overlap.cellFor('mac', 'raid')).toEqual({ count: 1, bytes: 100 });
+  });
+
+  it('counts files found on a single drive on the diagonal', () => {
+    expect(overlap.cellFor('mac', 'mac')).toEqual({ count: 1, bytes: 30 });
+    expect(overlap.cellFor('t7', 't7')).toEqual({ count: 0, bytes: 0 });
+  });
+
+  it('is symmetric and tracks the largest cell', () => {
+    expect(overlap.cellFor('t7', 'mac')).toBe(overlap.cellFor('mac', 't7'));
+    expect(pairKey('t7', 'mac')).toBe(pairKey('mac', 't7'));
+    expect(overlap.maxBytes).toBe(150);
+  });
+});
+
+describe('matchesPair', () => {
+  it('matches files on both drives of an off-diagonal cell', () => {
+    expect(matchesPair(file('a', ['mac', 't7', 'raid']), ['t7', 'mac'])).toBe(true);
+    expect(matchesPair(file('a', ['mac', 'raid']), ['mac', 't7'])).toBe(false);
+  });
+
+  it('matches only files found nowhere else on the diagonal', () => {
+    expect(matchesPair(file('a', ['mac', 'mac']), ['mac', 'mac'])).toBe(true);
+    expect(matchesPair(file('a', ['mac', 't7']), ['mac', 'mac'])).toBe(false);
+    expect(matchesPair(file('a', ['t7', 't7']), ['mac', 'mac'])).toBe(false);
+  });
+
+  it('agrees with the cell counts', () => {
+    const files = [file('a', ['mac', 't7']), file('b', ['mac', 'mac']), file('c', ['t7', 'raid']), file('d', ['mac', 't7', 'raid'])];
+    const overlap = buildOverlap(files);
+    for (const pair of [['mac', 't7'], ['mac', 'mac'], ['t7', 'raid'], ['raid', 'raid']]) {
+      expect(files.filter(f => matchesPair(f, pair))).toHaveLength(overlap.cellFor(...pair).count);
+    }
+  });
+});
@@ -0,0 +1,183 @@
+// Backup policy engine for the duplicates view.
+//
+// A policy is an ordered list of rules. Each file is checked against the first
+// rule whose `match` list covers it (file type buckets from format.js or bare
+// extensions); the last rule has an empty list and catches everything else.
+//
+//   { id, label, match: ['dng', 'cr2'], minCopies: 3, minBackupCopies: 1, requiredTags: ['offsite'] }
+//
+// Copies are counted per drive, not per path: two copies on one drive die
+// with that drive, so they only count once towards minCopies.
+//
+// Everything but loadPolicy/savePolicy is pure; drive state comes in as a
+// Map of drive id to `{ isBackup, tags }`.
+
+import { fileExtension, fileType, plural } from './format';
+import { SETTING_KEYS, readSetting, writeSetting } from './settings';
+
+export const DRIVE_TAGS = ['offsite'];
+
+// Reproduces the original rule: one backup copy is enough, and a single
+// source alongside it counts as safe. minCopies stays at 1 so two copies on
+// the same backup drive still pass, as they did before policies.
+export const DEFAULT_RULE = {
+  id: 'default',
+  label: 'All other files',
+  match: [],
+  minCopies: 1,
+  minBackupCopies: 1,
+  requiredTags: [],
+};
+
+export const DEFAULT_POLICY = { rules: [DEFAULT_RULE] };
+
+let nextRuleId = 1;
+
+export const createRule = (overrides = {}) => ({
+  ...DEFAULT_RULE,
+  id: `rule-${Date.now().toString(36)}-${nextRuleId++}`,
+  label: 'New rule',
+  ...overrides,
+});
+
+const ruleMatches = (rule, file) => {
+  if (rule.match.length === 0) return true;
+  return rule.match.includes(fileType(file.name)) || rule.match.includes(fileExtension(file.name));
+};
+
+export const ruleForFile = (file, policy) =>
+  policy.rules.find(rule => ruleMatches(rule, file)) ?? DEFAULT_RULE;
+
+// Returns everything the view needs to colour a file: the rule that applied,
+// whether it's met (and why not), and the copy counts behind it.
+export const evaluateFile = (file, drivesById, policy) => {
+  const rule = ruleForFile(file, policy);
+
+  const holdingDrives = [...new Set(file.drives)]
+    .map(driveId => drivesById.get(driveId))
+    .filter(Boolean);
+  const backupDrives = holdingDrives.filter(drive => drive.isBackup);
+  const sourceCopies = file.drives.filter(driveId => !drivesById.get(driveId)?.isBackup).length;
+
+  const violations = [];
+
+  if (holdingDrives.length < rule.minCopies) {
+    violations.push({
+      kind: 'copies',
+      required: rule.minCopies,
+      actual: holdingDrives.length,
+      message: `on ${plural(holdingDrives.length, 'drive')}, needs ${rule.minCopies}`,
+    });
+  }
+
+  if (backupDrives.length < rule.minBackupCopies) {
+    violations.push({
+      kind: 'backups',
+      required: rule.minBackupCopies,
+      actual: backupDrives.length,
+      message: `${plural(backupDrives.length, 'backup')}, needs ${rule.minBackupCopies}`,
+    });
+  }
+
+  for (const tag of rule.requiredTags) {
+    if (!holdingDrives.some(drive => drive.tags?.includes(tag))) {
+      violations.push({ kind: 'tag', tag, message: `no copy on an ${tag} drive` });
+    }
+  }
+
+  return {
+    rule,
+    compliant: violations.length === 0,
+    violations,
+    driveCount: holdingDrives.length,
+    backupCount: backupDrives.length,
+    sourceCopies,
+    hasRedundantSource: sourceCopies > 1,
+  };
+};
+
+export const describeEvaluation = (evaluation) => {
+  if (evaluation.compliant) return `Meets "${evaluation.rule.label}"`;
+  return `Below "${evaluation.rule.label}": ${evaluation.violations.map(v => v.message).join('; ')}`;
+};
+
+// Per-drive status for a file, used by both the drive cards and the pills:
+//   'unsafe'      file is below its policy, every copy is suspect
+//   'warning'     redundant copy on a source drive (or a second copy on one drive)
+//   'safe'        copy on a backup drive of a compliant file
+//   'source-safe' the one source copy of a compliant file
+//   'dimmed'      drive doesn't hold the file
+export const driveStatus = (file, evaluation, drive) => {
+  const copiesOnDrive = file.drives.filter(driveId => driveId === drive.id).length;
+  if (copiesOnDrive === 0) return 'dimmed';
+  if (!evaluation.compliant) return 'unsafe';
+  if (copiesOnDrive > 1) return 'warning';
+  if (drive.isBackup) return 'safe';
+  return evaluation.hasRedundantSource ? 'warning' : 'source-safe';
+};
+
+// Words for the same states, so nothing is conveyed by color alone
+export const DRIVE_STATUS_LABELS = {
+  unsafe: 'Below policy',
+  warning: 'Duplicate',
+  safe: 'Backup',
+  'source-safe': 'Source',
+  dimmed: 'No copy',
+  // Diverged files (see divergence.js)
+  newer: 'Newest copy',
+  older: 'Older copy',
+};
+
+// Spoken summary for a row, e.g. "on 3 drives, 1 backup, unsafe"
+export const describeCoverage = (evaluation) => {
+  const status = !evaluation.compliant ? 'unsafe' : (evaluation.hasRedundantSource ? 'duplicate' : 'safe');
+  return `on ${plural(evaluation.driveCount, 'drive')}, ${plural(evaluation.backupCount, 'backup')}, ${status}`;
+};
+
+// Rule editing helpers. The catch-all rule always stays last and keeps an
+// empty match list.
+
+export const updateRule = (policy, ruleId, changes) => ({
+  ...policy,
+  rules: policy.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)),
+});
+
+export const addRule = (policy, rule = createRule()) => ({
+  ...policy,
+  rules: [...policy.rules.slice(0, -1), rule, policy.rules[policy.rules.length - 1]],
+});
+
+export const removeRule = (policy, ruleId) => ({
+  ...policy,
+  rules: policy.rules.filter((rule, i) => rule.id !== ruleId || i === policy.rules.length - 1),
+});
+
+// Parses the comma-separated "applies to" field of the editor
+export const parseMatchList = (text) => [...new Set(
+  text.split(',').map(item => item.trim().toLowerCase().replace(/^\./, '')).filter(Boolean)
+)];
+
+// Counts the editor accepts
+export const MAX_RULE_COUNT = 9;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_RULE_COUNT;
+
+const isValidRule = (rule) => Boolean(rule) && typeof rule === 'object' &&
+  typeof rule.id === 'string' && typeof rule.label === 'string' &&
+  Array.isArray(rule.match) && rule.match.every(item => typeof item === 'string') &&
+  isCount(rule.minCopies) && isCount(rule.minBackupCopies) &&
+  Array.isArray(rule.requiredTags) && rule.requiredTags.every(tag => DRIVE_TAGS.includes(tag));
+
+// A saved or imported policy must still end with its catch-all rule
+export const isValidPolicy = (policy) => Boolean(policy) && Array.isArray(policy.rules) &&
+  policy.rules.length > 0 && policy.rules.every(isValidRule) &&
+  policy.rules[policy.rules.length - 1].match.length === 0;
+
+export const loadPolicy = () => {
+  const saved = readSetting(SETTING_KEYS.policy);
+  return isValidPolicy(saved) ? saved : DEFAULT_POLICY;
+};
+
+export const savePolicy = (policy) => {
+  writeSetting(SETTING_KEYS.policy, policy);
+};
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import { drives, drivesById } from './fixtures/drives';
+import { DEFAULT_POLICY, DEFAULT_RULE, createRule, describeCoverage, driveStatus, evaluateFile, ruleForFile } from './policy';
+
+const file = (name, driveIds) => ({ id: name, name, drives: driveIds });
+
+const rawRule = createRule({ label: 'Raw photos', match: ['dng'], minCopies: 3, minBackupCopies: 1, requiredTags: ['offsite'] });
+const videoRule = createRule({ label: 'Video', match: ['video'], minCopies: 2, minBackupCopies: 2 });
+const policy = { rules: [rawRule, videoRule, DEFAULT_RULE] };
+
+describe('ruleForFile', () => {
+  it('matches bare extensions', () => {
+    expect(ruleForFile(file('IMG_8833_RAW.dng', []), policy)).toBe(rawRule);
+  });
+
+  it('matches file type buckets', () => {
+    expect(ruleForFile(file('Interview_A_Cam.mp4', []), policy)).toBe(videoRule);
+  });
+
+  it('uses the first matching rule', () => {
+    const first = createRule({ match: ['dng'] });
+    expect(ruleForFile(file('a.dng', []), { rules: [first, rawRule, DEFAULT_RULE] })).toBe(first);
+  });
+
+  it('falls through to the catch-all rule', () => {
+    expect(ruleForFile(file('Brand_Guidelines_2024.pdf', []), policy)).toBe(DEFAULT_RULE);
+  });
+
+  it('falls back to the default rule when nothing matches', () => {
+    expect(ruleForFile(file('a.pdf', []), { rules: [rawRule] })).toBe(DEFAULT_RULE);
+  });
+});
+
+describe('evaluateFile', () => {
+  it('treats one backup copy as safe under the default policy', () => {
+    const evaluation = evaluateFile(file('a.pdf', ['mac', 'raid']), drivesById, DEFAULT_POLICY);
+    expect(evaluation.compliant).toBe(true);
+    expect(evaluation.violations).toEqual([]);
+    expect(evaluation.hasRedundantSource).toBe(false);
+  });
+
+  it('keeps two copies on one backup drive safe under the default policy', () => {
+    const evaluation = evaluateFile(file('a.pdf', ['raid', 'raid']), drivesById, DEFAULT_POLICY);
+    expect(evaluation.compliant).toBe(true);
+    expect(evaluation.driveCount).toBe(1);
+  });
+
+  it('flags files with no backup under the default policy', () => {
+    const evaluation = evaluateFile(file('a.pdf', ['mac', 't7']), drivesById, DEFAULT_POLICY);
+    expect(evaluation.compliant).toBe(false);
+    expect(evaluation.violations.map(v => v.kind)).toEqual(['backups']);
+    expect(evaluation.hasRedundantSource).toBe(true);
+  });
+
+  it('counts copies per drive, not per path', () => {
+    const evaluation = evaluateFile(file('a.mov', ['raid', 'raid', 'vault']), drivesById, policy);
+    expect(evaluation.driveCount).toBe(2);
+    expect(evaluation.backupCount).toBe(2);
+    expect(evaluation.compliant).toBe(true);
+  });
+
+  it('reports every rule the file misses', () => {
+    const evaluation = evaluateFile(file('a.dng', ['mac', 'raid']), drivesById, policy);
+    expect(evaluation.rule).toBe(rawRule);
+    expect(evaluation.violations).toEqual([
+      { kind: 'copies', required: 3, actual: 2, message: 'on 2 drives, needs 3' },
+      { kind: 'tag', tag: 'offsite', message: 'no copy on an offsite drive' },
+    ]);
+  });
+
+  it('meets a tag requirement with any copy on a tagged drive', () => {
+    const evaluation = evaluateFile(file('a.dng', ['mac', 'raid', 'vault']), drivesById, policy);
+    expect(evaluation.compliant).toBe(true);
+  });
+
+  it('ignores drives missing from the catalog', () => {
+    const evaluation = evaluateFile(file('a.pdf', ['raid', 'gone']), drivesById, DEFAULT_POLICY);
+    expect(evaluation.driveCount).toBe(1);
+    expect(evaluation.compliant).toBe(true);
+  });
+});
+
+describe('driveStatus', () => {
+  const statuses = (f, p = DEFAULT_POLICY) => {
+    const evaluation = evaluateFile(f, drivesById, p);
+    return Object.fromEntries(drives.map(d => [d.id, driveStatus(f, evaluation, d)]));
+  };
+
+  it('marks the backup and the single source of a safe file', () => {
+    expect(statuses(file('a.pdf', ['mac', 'raid']))).toEqual({
+      mac: 'source-safe', t7: 'dimmed', raid: 'safe', vault: 'dimmed',
+    });
+  });
+
+  it('warns about redundant source copies', () => {
+    expect(statuses(file('a.pdf', ['mac', 't7', 'raid']))).toEqual({
+      mac: 'warning', t7: 'warning', raid: 'safe', vault: 'dimmed',
+    });
+  });
+
+  it('warns about a second copy on the same drive', () => {
+    expect(statuses(file('a.pdf', ['raid', 'raid'])).raid).toBe('warning');
+  });
+
+  it('marks every copy of a file below policy as unsafe', () => {
+    expect(statuses(file('a.dng', ['mac', 'raid']), policy)).toEqual({
+      mac: 'unsafe', t7: 'dimmed', raid: 'unsafe', vault: 'dimmed',
+    });
+  });
+});
+
+describe('describeCoverage', () => {
+  const coverage = (f, p = DEFAULT_POLICY) => describeCoverage(evaluateFile(f, drivesById, p));
+
+  it('describes a safe file', () => {
+    expect(coverage(file('a.pdf', ['mac', 'raid']))).toBe('on 2 drives, 1 backup, safe');
+  });
+
+  it('describes redundant source copies', () => {
+    expect(coverage(file('a.pdf', ['mac', 't7', 'raid']))).toBe('on 3 drives, 1 backup, duplicate');
+  });
+
+  it('describes a file below policy', () => {
+    expect(coverage(file('a.pdf', ['mac', 't7']))).toBe('on 2 drives, 0 backups, unsafe');
+  });
+
+  it('uses the singular for one drive', () => {
+    expect(coverage(file('a.pdf', ['raid', 'raid']))).toBe('on 1 drive, 1 backup, safe');
+  });
+});
@@ -0,0 +1,275 @@
+// Search query language for the duplicate list.
+//
+//   titan render          name contains both words
+//   "final mix"           name contains the phrase
+//   ext:dng  ext:dng,cr2  extension (any of)
+//   type:video            file type bucket (video, image, audio, db, zip, doc)
+//   drive:"LaCie Rugged"  has a copy on a drive whose name contains the value
+//   size:>1GB             size comparison (B, KB, MB, GB, TB; decimal like formatBytes)
+//   copies:>=3            number of copies
+//   modified:<2024-06     modified date vs. a year, month or day
+//   unbacked              no copy on a backup drive
+//
+// Any term can be negated with a leading '-'. Terms are ANDed together.
+
+import { fileExtension, fileType } from './format';
+
+export class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+const FIELDS = ['name', 'ext', 'type', 'drive', 'size', 'copies', 'modified'];
+const COMPARABLE_FIELDS = ['size', 'copies', 'modified'];
+const FILE_TYPES = ['video', 'image', 'audio', 'db', 'zip', 'doc'];
+const KEYWORDS = ['unbacked'];
+
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12 };
+
+// --- Tokenizing ---
+
+// Splits the query into raw terms, honouring double quotes both around a
+// whole term ("final mix") and around a field value (drive:"LaCie Rugged").
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+    let raw = '';
+    let quoted = false;
+
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) throw new QueryError('Missing closing quote', i);
+        raw += text.slice(i + 1, close);
+        quoted = true;
+        i = close + 1;
+      } else {
+        raw += text[i];
+        i += 1;
+      }
+    }
+
+    tokens.push({ raw, quoted, position: start, source: text.slice(start, i) });
+  }
+
+  return tokens;
+};
+
+// --- Value parsing ---
+
+const parseComparison = (value) => {
+  const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+  return { operator: match[1] || '=', operand: match[2] };
+};
+
+const parseSize = (text, position) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(text);
+  const unit = match && SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+  if (!unit) throw new QueryError(`"${text}" isn't a size (try 500MB or 1.5GB)`, position);
+  return Number.parseFloat(match[1]) * unit;
+};
+
+const parseCount = (text, position) => {
+  if (!/^\d+$/.test(text)) throw new QueryError(`"${text}" isn't a number of copies`, position);
+  return Number.parseInt(text, 10);
+};
+
+// A date is a period: 2024 is the whole year, 2024-06 the month, 2024-06-15
+// the day. Returned as [start, end) in unix seconds, local time.
+const parsePeriod = (text, position) => {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+  if (!match) throw new QueryError(`"${text}" isn't a date (try 2024, 2024-06 or 2024-06-15)`, position);
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  if (month !== null && (month < 0 || month > 11)) throw new QueryError(`"${text}" has no month ${match[2]}`, position);
+
+  const start = new Date(year, month ?? 0, day ?? 1);
+  if (day !== null && start.getDate() !== day) throw new QueryError(`"${text}" has no day ${match[3]}`, position);
+
+  const end = day !== null
+    ? new Date(year, month, day + 1)
+    : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+
+  return [start.getTime() / 1000, end.getTime() / 1000];
+};
+
+// --- Term parsing ---
+
+const parseTerm = (token) => {
+  let { raw } = token;
+  const { position } = token;
+  // A term that opens with a quote is a phrase, even if it contains a colon
+  const isPhrase = /^-?"/.test(token.source);
+  let negated = false;
+
+  if (raw.startsWith('-') && raw.length > 1 && !token.source.startsWith('"')) {
+    negated = true;
+    raw = raw.slice(1);
+  }
+
+  const colon = isPhrase ? -1 : raw.indexOf(':');
+
+  if (colon === -1) {
+    const keyword = raw.toLowerCase();
+    if (!token.quoted && KEYWORDS.includes(keyword)) return { kind: 'keyword', keyword, negated };
+    return { kind: 'text', value: raw.toLowerCase(), negated };
+  }
+
+  const field = raw.slice(0, colon).toLowerCase();
+  const value = raw.slice(colon + 1);
+  const valuePosition = position + token.source.indexOf(':') + 1;
+
+  if (!FIELDS.includes(field)) throw new QueryError(`Unknown field "${field}:"`, position);
+  if (!value) throw new QueryError(`"${field}:" needs a value`, position);
+
+  if (COMPARABLE_FIELDS.includes(field)) {
+    const { operator, operand } = parseComparison(value);
+    if (!operand) throw new QueryError(`"${field}:${operator}" needs a value`, valuePosition);
+
+    const parse = { size: parseSize, copies: parseCount, modified: parsePeriod }[field];
+    return { kind: 'compare', field, operator, operand: parse(operand, valuePosition), negated };
+  }
+
+  if (/^(>=|<=|>|<)/.test(value)) {
+    throw new QueryError(`"${field}:" can't be compared with ${value.match(/^[<>]=?/)[0]}`, valuePosition);
+  }
+
+  const values = value.toLowerCase().split(',').filter(Boolean);
+
+  if (field === 'type') {
+    const unknown = values.find(type => !FILE_TYPES.includes(type));
+    if (unknown) throw new QueryError(`Unknown type "${unknown}" (one of ${FILE_TYPES.join(', ')})`, valuePosition);
+  }
+
+  if (field === 'ext') {
+    return { kind: 'match', field, values: values.map(ext => ext.replace(/^\./, '')), negated };
+  }
+
+  if (field === 'name') return { kind: 'text', value: value.toLowerCase(), negated };
+
+  return { kind: 'match', field, values, negated };
+};
+
+// Returns `{ terms, error }`. A malformed query comes back with an empty term
+// list and a QueryError so the view can show it inline.
+export const parseQuery = (text) => {
+  try {
+    return { terms: tokenize(text).map(parseTerm), error: null };
+  } catch (error) {
+    if (error instanceof QueryError) return { terms: [], error };
+    throw error;
+  }
+};
+
+// --- Matching ---
+
+const compare = (actual, operator, expected) => {
+  switch (operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+};
+
+// Dates compare against the whole period: <2024-06 is before June starts,
+// >2024-06 is after it ends, =2024-06 is any time in June.
+const comparePeriod = (seconds, operator, [start, end]) => {
+  switch (operator) {
+    case '>': return seconds >= end;
+    case '>=': return seconds >= start;
+    case '<': return seconds < start;
+    case '<=': return seconds < end;
+    default: return seconds >= start && seconds < end;
+  }
+};
+
+const termMatches = (term, file, drivesById) => {
+  switch (term.kind) {
+    case 'text':
+      return file.name.toLowerCase().includes(term.value);
+    case 'keyword':
+      // Only keyword so far is 'unbacked'
+      return !file.drives.some(driveId => drivesById.get(driveId)?.isBackup);
+    case 'match':
+      if (term.field === 'ext') return term.values.includes(fileExtension(file.name));
+      if (term.field === 'type') return term.values.includes(fileType(file.name));
+      return file.drives.some(driveId => {
+        const drive = drivesById.get(driveId);
+        return drive && term.values.some(value =>
+          drive.name.toLowerCase().includes(value) || drive.id.toLowerCase() === value
+        );
+      });
+    case 'compare':
+      if (term.field === 'size') return compare(file.size, term.operator, term.operand);
+      if (term.field === 'copies') return compare(file.locations.length, term.operator, term.operand);
+      return file.modifiedAt != null && comparePeriod(file.modifiedAt, term.operator, term.operand);
+    default:
+      return true;
+  }
+};
+
+export const createMatcher = (terms, drives) => {
+  if (terms.length === 0) return () => true;
+
+  const drivesById = new Map(drives.map(drive => [drive.id, drive]));
+  return (file) => terms.every(term => termMatches(term, file, drivesById) !== term.negated);
+};
+
+// --- Highlighting ---
+
+// Splits a filename into [{ text, isMatch }] runs for the positive name and
+// extension terms, so the row can wrap matches in <mark>.
+export const highlightSegments = (name, terms) => {
+  const lower = name.toLowerCase();
+  const ranges = [];
+
+  for (const term of terms) {
+    if (term.negated) continue;
+
+    if (term.kind === 'text' && term.value) {
+      for (let at = lower.indexOf(term.value); at !== -1; at = lower.indexOf(term.value, at + 1)) {
+        ranges.push([at, at + term.value.length]);
+      }
+    } else if (term.kind === 'match' && term.field === 'ext' && term.values.includes(fileExtension(name))) {
+      ranges.push([name.lastIndexOf('.') + 1, name.length]);
+    }
+  }
+
+  if (ranges.length === 0) return [{ text: name, isMatch: false }];
+
+  // Merge overlapping ranges, then cut the name into alternating runs
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  for (const [start, end] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+
+  const segments = [];
+  let cursor = 0;
+  for (const [start, end] of merged) {
+    if (start > cursor) segments.push({ text: name.slice(cursor, start), isMatch: false });
+    segments.push({ text: name.slice(start, end), isMatch: true });
+    cursor = end;
+  }
+  if (cursor < name.length) segments.push({ text: name.slice(cursor), isMatch: false });
+
+  return segments;
+};
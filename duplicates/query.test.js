@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { QueryError, createMatcher, highlightSegments, parseQuery } from './query';
+
+const drives = [
+  { id: 'mac', name: 'Macintosh HD', isBackup: false },
+  { id: 't7', name: 'Samsung T7', isBackup: false },
+  { id: 'lacie', name: 'LaCie Rugged', isBackup: false },
+  { id: 'sd', name: 'SD Backup', isBackup: true },
+];
+
+const seconds = (year, month, day) => new Date(year, month - 1, day).getTime() / 1000;
+
+const file = (name, size, driveIds, modifiedAt) => ({
+  id: name,
+  name,
+  size,
+  drives: driveIds,
+  locations: driveIds.map(driveId => ({ driveId })),
+  modifiedAt,
+});
+
+const files = [
+  file('IMG_8833_RAW.dng', 25e6, ['lacie', 'sd'], seconds(2024, 5, 31)),
+  file('Interview_A_Cam.mp4', 2e9, ['mac', 't7', 'lacie'], seconds(2024, 7, 2)),
+  file('Titan_Budget.xlsx', 1e6, ['mac', 't7'], seconds(2024, 6, 1)),
+];
+
+const search = (text) => {
+  const { terms, error } = parseQuery(text);
+  expect(error).toBeNull();
+  return files.filter(createMatcher(terms, drives)).map(f => f.name);
+};
+
+const errorFor = (text) => {
+  const { terms, error } = parseQuery(text);
+  expect(terms).toEqual([]);
+  expect(error).toBeInstanceOf(QueryError);
+  return { message: error.message, position: error.position };
+};
+
+describe('parseQuery and createMatcher', () => {
+  it.each([
+    ['ext:dng', ['IMG_8833_RAW.dng']],
+    ['drive:"LaCie Rugged"', ['IMG_8833_RAW.dng', 'Interview_A_Cam.mp4']],
+    ['-drive:SD', ['Interview_A_Cam.mp4', 'Titan_Budget.xlsx']],
+    ['size:>1GB', ['Interview_A_Cam.mp4']],
+    ['copies:>=3', ['Interview_A_Cam.mp4']],
+    ['modified:<2024-06', ['IMG_8833_RAW.dng']],
+    ['type:video', ['Interview_A_Cam.mp4']],
+    ['unbacked', ['Interview_A_Cam.mp4', 'Titan_Budget.xlsx']],
+  ])('%s', (text, expected) => {
+    expect(search(text)).toEqual(expected);
+  });
+
+  it('ANDs terms together', () => {
+    expect(search('titan ext:xlsx,dng')).toEqual(['Titan_Budget.xlsx']);
+    expect(search('drive:lacie -unbacked')).toEqual(['IMG_8833_RAW.dng']);
+  });
+
+  it('treats a quoted term as a phrase, colons and all', () => {
+    expect(parseQuery('"a:b c"').terms).toEqual([{ kind: 'text', value: 'a:b c', negated: false }]);
+    expect(parseQuery('"unbacked"').terms).toEqual([{ kind: 'text', value: 'unbacked', negated: false }]);
+  });
+
+  it('compares dates against the whole period', () => {
+    expect(search('modified:2024-06')).toEqual(['Titan_Budget.xlsx']);
+    expect(search('modified:>2024-06')).toEqual(['Interview_A_Cam.mp4']);
+    expect(search('modified:<=2024-06')).toEqual(['IMG_8833_RAW.dng', 'Titan_Budget.xlsx']);
+  });
+
+  it('matches everything for an empty query', () => {
+    expect(search('  ')).toHaveLength(files.length);
+  });
+});
+
+describe('QueryError', () => {
+  it.each([
+    ['an unclosed quote', 'drive:"LaCie', { message: 'Missing closing quote', position: 6 }],
+    ['an unknown field', 'render owner:me', { message: 'Unknown field "owner:"', position: 7 }],
+    ['a missing value', 'ext:', { message: '"ext:" needs a value', position: 0 }],
+    ['a missing comparison value', 'size:>', { message: '"size:>" needs a value', position: 5 }],
+    ['a bad size', 'size:>lots', { message: '"lots" isn\'t a size (try 500MB or 1.5GB)', position: 5 }],
+    ['a bad date', 'modified:June', { message: '"June" isn\'t a date (try 2024, 2024-06 or 2024-06-15)', position: 9 }],
+    ['a bad month', 'modified:<2024-13', { message: '"2024-13" has no month 13', position: 9 }],
+    ['a bad day', 'modified:2024-02-30', { message: '"2024-02-30" has no day 30', position: 9 }],
+  ])('reports %s', (_, text, expected) => {
+    expect(errorFor(text)).toEqual(expected);
+  });
+});
+
+describe('highlightSegments', () => {
+  const segments = (name, text) => highlightSegments(name, parseQuery(text).terms);
+
+  it('merges overlapping and touching ranges', () => {
+    expect(segments('Titan_Render.mov', 'titan tan_ ren ext:mov')).toEqual([
+      { text: 'Titan_Ren', isMatch: true },
+      { text: 'der.', isMatch: false },
+      { text: 'mov', isMatch: true },
+    ]);
+  });
+
+  it('marks every occurrence', () => {
+    expect(segments('aXa', 'a')).toEqual([
+      { text: 'a', isMatch: true },
+      { text: 'X', isMatch: false },
+      { text: 'a', isMatch: true },
+    ]);
+  });
+
+  it('ignores negated terms and other fields', () => {
+    expect(segments('Titan_Render.mov', '-titan size:>1GB')).toEqual([{ text: 'Titan_Render.mov', isMatch: false }]);
+  });
+});
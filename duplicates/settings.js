@@ -0,0 +1,75 @@
+// Persisted view settings.
+//
+// Same key/value shape as the Swift app's @AppStorage entries: one key per
+// setting, each holding a JSON value. Drive roles are keyed by drive UUID,
+// so "duplicates.driveBackupStates" is `{"<uuid>": true}` exactly as
+// DuplicatesView.saveDriveStates() writes it. Backed by localStorage here.
+
+export const SETTING_KEYS = {
+  driveBackupStates: 'duplicates.driveBackupStates',
+  driveTags: 'duplicates.driveTags',
+  driveTypes: 'duplicates.driveTypes',
+  showBackedUp: 'duplicates.showBackedUp',
+  showDuplicates: 'duplicates.showDuplicates',
+  showDiverged: 'duplicates.showDiverged',
+  sortOption: 'duplicates.sortOption',
+  policy: 'duplicates.policy',
+};
+
+// Settings keyed by drive UUID
+export const DRIVE_SETTING_KEYS = [SETTING_KEYS.driveBackupStates, SETTING_KEYS.driveTags, SETTING_KEYS.driveTypes];
+
+export const readSetting = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    // Missing or corrupt entry
+    return fallback;
+  }
+};
+
+export const writeSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage unavailable (private mode, quota); the setting just won't stick
+  }
+};
+
+export const readBooleanSetting = (key, fallback) => {
+  const value = readSetting(key, fallback);
+  return typeof value === 'boolean' ? value : fallback;
+};
+
+const readDriveMap = (key) => {
+  const value = readSetting(key, {});
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+};
+
+// Overlays the saved roles onto drives fresh from the catalog
+export const applyDriveSettings = (drives) => {
+  const backupStates = readDriveMap(SETTING_KEYS.driveBackupStates);
+  const tags = readDriveMap(SETTING_KEYS.driveTags);
+  const types = readDriveMap(SETTING_KEYS.driveTypes);
+
+  return drives.map(drive => ({
+    ...drive,
+    isBackup: typeof backupStates[drive.id] === 'boolean' ? backupStates[drive.id] : drive.isBackup,
+    tags: Array.isArray(tags[drive.id]) ? tags[drive.id] : drive.tags,
+    type: drive.id in types ? types[drive.id] : drive.type,
+  }));
+};
+
+// Entries for drives outside this catalog are kept, like the Swift
+// driveStates dictionary, so unplugged drives don't lose their role
+export const mergeDriveSetting = (key, entries) => {
+  writeSetting(key, { ...readDriveMap(key), ...entries });
+};
+
+export const saveDriveSettings = (drives) => {
+  const entries = (valueOf) => Object.fromEntries(drives.map(drive => [drive.id, valueOf(drive)]));
+  mergeDriveSetting(SETTING_KEYS.driveBackupStates, entries(drive => drive.isBackup));
+  mergeDriveSetting(SETTING_KEYS.driveTags, entries(drive => drive.tags));
+  mergeDriveSetting(SETTING_KEYS.driveTypes, entries(drive => drive.type));
+};
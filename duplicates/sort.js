@@ -0,0 +1,91 @@
+// Sort options for the duplicate list.
+//
+// A sort is `{ key, direction, secondary }`. The secondary key breaks ties and
+// always runs in its own natural direction (largest / newest / riskiest first,
+// names A-Z), so flipping the primary direction doesn't scramble the ties.
+
+import { DEFAULT_POLICY, evaluateFile } from './policy';
+import { SETTING_KEYS, readSetting, writeSetting } from './settings';
+
+export const SORT_KEYS = [
+  { id: 'size', label: 'Size', direction: 'desc' },
+  { id: 'reclaimable', label: 'Reclaimable', direction: 'desc' },
+  { id: 'copies', label: 'Copies', direction: 'desc' },
+  { id: 'name', label: 'Name', direction: 'asc' },
+  { id: 'date', label: 'Date', direction: 'desc' },
+  { id: 'risk', label: 'Risk', direction: 'desc' },
+];
+
+export const DEFAULT_SORT = { key: 'size', direction: 'desc', secondary: 'name' };
+
+const isSortKey = (id) => SORT_KEYS.some(key => key.id === id);
+
+export const isValidSort = (sort) => Boolean(sort) &&
+  isSortKey(sort.key) && isSortKey(sort.secondary) && ['asc', 'desc'].includes(sort.direction);
+
+export const sortKeyLabel = (id) => SORT_KEYS.find(key => key.id === id)?.label ?? id;
+
+// Copies on source (non-backup) drives beyond the first are the ones that
+// could be removed without touching the file's backup coverage.
+export const reclaimableBytes = (file, isBackupDrive) => {
+  const sourceCopies = file.drives.filter(driveId => !isBackupDrive(driveId)).length;
+  return file.size * Math.max(sourceCopies - 1, 0);
+};
+
+// 2 = below its backup policy, 1 = meets it but cluttered with extra source
+// copies, 0 = fine
+export const riskLevel = (evaluation) => {
+  if (!evaluation.compliant) return 2;
+  return evaluation.hasRedundantSource ? 1 : 0;
+};
+
+const sortValue = (key, file, isBackupDrive, evaluate) => {
+  switch (key) {
+    case 'size': return file.size;
+    case 'reclaimable': return reclaimableBytes(file, isBackupDrive);
+    case 'copies': return file.locations.length;
+    case 'name': return file.name;
+    case 'date': return file.modifiedAt ?? 0;
+    case 'risk': return riskLevel(evaluate(file));
+    default: return 0;
+  }
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'string') return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  return a - b;
+};
+
+const directionFor = (key) => SORT_KEYS.find(k => k.id === key)?.direction ?? 'asc';
+
+export const sortFiles = (files, sort, drives, policy = DEFAULT_POLICY) => {
+  const drivesById = new Map(drives.map(d => [d.id, d]));
+  const isBackupDrive = (driveId) => Boolean(drivesById.get(driveId)?.isBackup);
+  const evaluate = (file) => evaluateFile(file, drivesById, policy);
+
+  const primary = sort.direction === 'asc' ? 1 : -1;
+  const secondary = directionFor(sort.secondary) === 'asc' ? 1 : -1;
+
+  // Compute keys once per file rather than once per comparison
+  const keyed = files.map(file => ({
+    file,
+    primary: sortValue(sort.key, file, isBackupDrive, evaluate),
+    secondary: sortValue(sort.secondary, file, isBackupDrive, evaluate),
+  }));
+
+  keyed.sort((a, b) =>
+    primary * compareValues(a.primary, b.primary) ||
+    secondary * compareValues(a.secondary, b.secondary)
+  );
+
+  return keyed.map(entry => entry.file);
+};
+
+export const loadSortOption = () => {
+  const saved = readSetting(SETTING_KEYS.sortOption);
+  return isValidSort(saved) ? saved : DEFAULT_SORT;
+};
+
+export const saveSortOption = (sort) => {
+  writeSetting(SETTING_KEYS.sortOption, sort);
+};
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { drives, drivesById } from './fixtures/drives';
+import { DEFAULT_SORT, isValidSort, reclaimableBytes, riskLevel, sortFiles } from './sort';
+
+const file = (name, size, driveIds, modifiedAt = 1700000000) => ({
+  id: name,
+  name,
+  size,
+  drives: driveIds,
+  locations: driveIds.map((driveId, i) => ({ id: `${name}-${i}`, driveId })),
+  modifiedAt,
+});
+
+const isBackupDrive = (driveId) => Boolean(drivesById.get(driveId)?.isBackup);
+
+const names = (files, sort) => sortFiles(files, sort, drives).map(f => f.name);
+
+describe('reclaimableBytes', () => {
+  it('counts every source copy after the first', () => {
+    expect(reclaimableBytes(file('a.mov', 100, ['mac', 't7', 'raid']), isBackupDrive)).toBe(100);
+    expect(reclaimableBytes(file('a.mov', 100, ['mac', 'mac', 't7']), isBackupDrive)).toBe(200);
+  });
+
+  it('never counts backup copies', () => {
+    expect(reclaimableBytes(file('a.mov', 100, ['mac', 'raid', 'vault']), isBackupDrive)).toBe(0);
+    expect(reclaimableBytes(file('a.mov', 100, ['raid', 'vault']), isBackupDrive)).toBe(0);
+  });
+});
+
+describe('riskLevel', () => {
+  it('ranks below policy over redundant over fine', () => {
+    expect(riskLevel({ compliant: false, hasRedundantSource: true })).toBe(2);
+    expect(riskLevel({ compliant: true, hasRedundantSource: true })).toBe(1);
+    expect(riskLevel({ compliant: true, hasRedundantSource: false })).toBe(0);
+  });
+});
+
+describe('sortFiles', () => {
+  const files = [
+    file('b.mov', 200, ['mac', 'raid'], 300),
+    file('a.mov', 100, ['mac', 't7', 'raid'], 100),
+    file('c.mov', 300, ['mac', 't7'], 200),
+  ];
+
+  it.each([
+    ['size', 'desc', ['c.mov', 'b.mov', 'a.mov']],
+    ['size', 'asc', ['a.mov', 'b.mov', 'c.mov']],
+    ['name', 'asc', ['a.mov', 'b.mov', 'c.mov']],
+    ['date', 'desc', ['b.mov', 'c.mov', 'a.mov']],
+    ['copies', 'desc', ['a.mov', 'b.mov', 'c.mov']],
+    ['reclaimable', 'desc', ['c.mov', 'a.mov', 'b.mov']],
+    ['risk', 'desc', ['c.mov', 'a.mov', 'b.mov']],
+  ])('sorts by %s %s', (key, direction, expected) => {
+    expect(names(files, { key, direction, secondary: 'name' })).toEqual(expected);
+  });
+
+  it('compares names naturally, ignoring case', () => {
+    const numbered = [file('Take 10.mov', 1, ['mac']), file('take 2.mov', 1, ['mac']), file('Take 1.mov', 1, ['mac'])];
+    expect(names(numbered, { key: 'name', direction: 'asc', secondary: 'size' })).toEqual(['Take 1.mov', 'take 2.mov', 'Take 10.mov']);
+  });
+
+  it('leaves the input alone', () => {
+    const before = [...files];
+    sortFiles(files, DEFAULT_SORT, drives);
+    expect(files).toEqual(before);
+  });
+});
+
+describe('tie-breaking', () => {
+  // Same size, so the secondary key decides every pair
+  const ties = [
+    file('b.mov', 100, ['mac', 'raid'], 100),
+    file('c.mov', 100, ['mac', 'raid'], 300),
+    file('a.mov', 100, ['mac', 'raid'], 200),
+  ];
+
+  it('runs the secondary key in its natural direction whichever way the primary runs', () => {
+    for (const direction of ['asc', 'desc']) {
+      expect(names(ties, { key: 'size', direction, secondary: 'name' })).toEqual(['a.mov', 'b.mov', 'c.mov']);
+      expect(names(ties, { key: 'size', direction, secondary: 'date' })).toEqual(['c.mov', 'a.mov', 'b.mov']);
+    }
+  });
+
+  it('only breaks ties', () => {
+    const mixed = [...ties, file('d.mov', 200, ['mac', 'raid'], 50)];
+    expect(names(mixed, { key: 'size', direction: 'desc', secondary: 'date' })).toEqual(['d.mov', 'c.mov', 'a.mov', 'b.mov']);
+    expect(names(mixed, { key: 'size', direction: 'asc', secondary: 'date' })).toEqual(['c.mov', 'a.mov', 'b.mov', 'd.mov']);
+  });
+});
+
+describe('isValidSort', () => {
+  it('accepts known keys and directions', () => {
+    expect(isValidSort(DEFAULT_SORT)).toBe(true);
+    expect(isValidSort({ key: 'risk', direction: 'asc', secondary: 'date' })).toBe(true);
+  });
+
+  it.each([
+    ['nothing', null],
+    ['an unknown key', { key: 'owner', direction: 'asc', secondary: 'name' }],
+    ['an unknown secondary key', { key: 'size', direction: 'asc', secondary: 'owner' }],
+    ['an unknown direction', { key: 'size', direction: 'up', secondary: 'name' }],
+    ['a missing secondary key', { key: 'size', direction: 'asc' }],
+  ])('rejects %s', (_, sort) => {
+    expect(isValidSort(sort)).toBe(false);
+  });
+});
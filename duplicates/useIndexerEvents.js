@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+import { GROUP_EVENTS, subscribeToIndexer } from './indexerEvents';
+
+// Group and drive events arrive in bursts (one per hashed batch); applying
+// them a few times a second keeps a 200k-row list from re-sorting per event
+const FLUSH_INTERVAL_MS = 250;
+
+// Like IndexManager, the finished summary stays up briefly before clearing
+const COMPLETE_DISPLAY_MS = 2000;
+
+// Follows the indexer's event stream at `url` (nothing happens without one).
+// Each batch goes to `onEvents({ groupEvents, driveEvents })` in one call, so
+// groups can be checked against drives announced alongside them; hashing
+// progress and the connection status are returned for display.
+export const useIndexerEvents = ({ url, onEvents }) => {
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  // Latest handler, so a re-render doesn't reconnect
+  const onEventsRef = useRef(onEvents);
+  onEventsRef.current = onEvents;
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    let groupEvents = [];
+    let driveEvents = [];
+    let flushTimer = null;
+    let clearTimer = null;
+
+    const flush = () => {
+      flushTimer = null;
+      onEventsRef.current({ groupEvents, driveEvents });
+      groupEvents = [];
+      driveEvents = [];
+    };
+
+    const onEvent = (event) => {
+      if (event.type === 'progress') {
+        clearTimeout(clearTimer);
+        setProgress(event.data);
+        if (event.data.isComplete) clearTimer = setTimeout(() => setProgress(null), COMPLETE_DISPLAY_MS);
+        return;
+      }
+
+      if (GROUP_EVENTS.includes(event.type)) groupEvents.push(event);
+      else driveEvents.push(event);
+      if (flushTimer == null) flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    };
+
+    const unsubscribe = subscribeToIndexer(url, { onEvent, onStatus: setStatus });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(flushTimer);
+      clearTimeout(clearTimer);
+      setStatus(null);
+    };
+  }, [url]);
+
+  return { progress, status };
+};
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// Windowed rendering for a long list of rows.
+//
+// Attach `scrollRef` to the scrolling container and `listRef` to the element
+// the rows render into; render rows `start` to `end` with `paddingTop` and
+// `paddingBottom` spacers around them so the scrollbar matches the full list.
+// `rowHeight` is either a number or a function of the row index, for rows
+// that expand. Scroll and resize reads are batched to one per animation frame.
+export const useVirtualRows = ({ count, rowHeight, overscan = 8 }) => {
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const frameRef = useRef(null);
+  const pendingIndexRef = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0, offset: 0 });
+
+  // offsets[i] is the top of row i; offsets[count] is the full height
+  const offsets = useMemo(() => {
+    const heightOf = typeof rowHeight === 'function' ? rowHeight : () => rowHeight;
+    const result = new Float64Array(count + 1);
+    for (let i = 0; i < count; i++) result[i + 1] = result[i] + heightOf(i);
+    return result;
+  }, [count, rowHeight]);
+
+  const measure = useCallback(() => {
+    frameRef.current = null;
+    const container = scrollRef.current;
+    if (!container) return;
+
+    // Rows start below the sticky header and list padding
+    const offset = listRef.current ? listRef.current.offsetTop : 0;
+    const next = { scrollTop: container.scrollTop, height: container.clientHeight, offset };
+
+    setViewport(prev => (
+      prev.scrollTop === next.scrollTop && prev.height === next.height && prev.offset === next.offset ? prev : next
+    ));
+  }, []);
+
+  const scheduleMeasure = useCallback(() => {
+    if (frameRef.current == null) frameRef.current = requestAnimationFrame(measure);
+  }, [measure]);
+
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return undefined;
+
+    measure();
+    container.addEventListener('scroll', scheduleMeasure, { passive: true });
+    const observer = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(scheduleMeasure);
+    observer?.observe(container);
+
+    return () => {
+      container.removeEventListener('scroll', scheduleMeasure);
+      observer?.disconnect();
+      if (frameRef.current != null) cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [measure, scheduleMeasure]);
+
+  // First row whose bottom edge is below `y`
+  const rowAt = (y) => {
+    let low = 0;
+    let high = count;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= y) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  const top = Math.max(0, viewport.scrollTop - viewport.offset);
+  const start = Math.max(0, rowAt(top) - overscan);
+  const end = Math.min(count, rowAt(top + viewport.height) + 1 + overscan);
+
+  const scrollToTop = useCallback(() => {
+    if (!scrollRef.current) return;
+    scrollRef.current.scrollTop = 0;
+    // Don't wait for the scroll event; the old window is stale already
+    measure();
+  }, [measure]);
+
+  // Scrolls just enough to bring a row fully into view on the next render
+  // (call it alongside the state change that moves the cursor). The row may
+  // not be counted yet while the caller loads it in; the scroll waits for it.
+  const scrollToIndex = useCallback((index) => {
+    pendingIndexRef.current = index;
+  }, []);
+
+  useEffect(() => {
+    const index = pendingIndexRef.current;
+    const container = scrollRef.current;
+    if (index == null || !container || index >= count) return;
+    pendingIndexRef.current = null;
+
+    // The sticky header covers the top `offset` pixels of the viewport
+    const offset = listRef.current ? listRef.current.offsetTop : 0;
+    const rowTop = offset + offsets[index];
+    const rowBottom = offset + offsets[index + 1];
+
+    if (rowTop - offset < container.scrollTop) {
+      container.scrollTop = rowTop - offset;
+    } else if (rowBottom > container.scrollTop + container.clientHeight) {
+      container.scrollTop = rowBottom - container.clientHeight;
+    }
+    measure();
+  });
+
+  return {
+    scrollRef,
+    listRef,
+    start,
+    end,
+    paddingTop: offsets[start],
+    paddingBottom: offsets[count] - offsets[end],
+    viewportHeight: Math.max(0, viewport.height - viewport.offset),
+    scrollToTop,
+    scrollToIndex,
+  };
+};